@@ -0,0 +1,439 @@
+const { ROOM_SIZE, distanceBetween, getRoomCell } = require('./utils/position');
+const { createSeededRandom } = require('./utils/noise');
+
+/**
+ * EnemyManager - server-side monsters for the ENEMY markers in generated rooms
+ * Monsters spawn when a player first reaches their room, never leave it and
+ * act once per autoattack tick: idle -> chase -> attack, fleeing when badly hurt.
+ */
+class EnemyManager {
+  constructor() {
+    this.enemiesByMatch = new Map(); // matchId -> { rooms: Map<roomKey, RoomEnemies>, enemies: Map<enemyId, Enemy> }
+
+    // Monster roster per room type. Stats are for danger level 1.
+    // aggroRadius/attackRange in room cells, moveSpeed in cells per tick, fleeBelow as a fraction of max health
+    this.MONSTER_TYPES = {
+      dungeon: [
+        { type: 'skeleton', name: 'Skeleton', health: 60, damage: 9, defense: 4, attackRange: 1.5, aggroRadius: 6, moveSpeed: 1, fleeBelow: 0 },
+        { type: 'cultist', name: 'Cultist', health: 45, damage: 12, defense: 2, attackRange: 3, aggroRadius: 7, moveSpeed: 1, fleeBelow: 0.2 }
+      ],
+      cave: [
+        { type: 'cave_bat', name: 'Cave Bat', health: 25, damage: 5, defense: 0, attackRange: 1.5, aggroRadius: 7, moveSpeed: 2, fleeBelow: 0.3 },
+        { type: 'cave_troll', name: 'Cave Troll', health: 110, damage: 14, defense: 6, attackRange: 1.5, aggroRadius: 4, moveSpeed: 1, fleeBelow: 0 }
+      ],
+      forest: [
+        { type: 'wolf', name: 'Wolf', health: 40, damage: 8, defense: 2, attackRange: 1.5, aggroRadius: 7, moveSpeed: 2, fleeBelow: 0.25 },
+        { type: 'bear', name: 'Bear', health: 90, damage: 12, defense: 5, attackRange: 1.5, aggroRadius: 4, moveSpeed: 1, fleeBelow: 0.15 }
+      ],
+      shore: [
+        { type: 'giant_crab', name: 'Giant Crab', health: 50, damage: 7, defense: 7, attackRange: 1.5, aggroRadius: 4, moveSpeed: 1, fleeBelow: 0.3 }
+      ],
+      beach: [
+        { type: 'giant_crab', name: 'Giant Crab', health: 50, damage: 7, defense: 7, attackRange: 1.5, aggroRadius: 4, moveSpeed: 1, fleeBelow: 0.3 }
+      ],
+      swamp: [
+        { type: 'bog_lurker', name: 'Bog Lurker', health: 70, damage: 11, defense: 3, attackRange: 1.5, aggroRadius: 5, moveSpeed: 1, fleeBelow: 0 },
+        { type: 'swamp_rat', name: 'Swamp Rat', health: 20, damage: 4, defense: 0, attackRange: 1.5, aggroRadius: 6, moveSpeed: 2, fleeBelow: 0.4 }
+      ],
+      desert: [
+        { type: 'scorpion', name: 'Giant Scorpion', health: 55, damage: 10, defense: 5, attackRange: 1.5, aggroRadius: 5, moveSpeed: 1, fleeBelow: 0.2 }
+      ],
+      ruins: [
+        { type: 'stone_guardian', name: 'Stone Guardian', health: 120, damage: 13, defense: 8, attackRange: 1.5, aggroRadius: 3, moveSpeed: 1, fleeBelow: 0 }
+      ],
+      hills: [
+        { type: 'bandit', name: 'Hill Bandit', health: 55, damage: 10, defense: 3, attackRange: 1.5, aggroRadius: 6, moveSpeed: 1, fleeBelow: 0.3 }
+      ],
+      portal: [
+        { type: 'void_wisp', name: 'Void Wisp', health: 35, damage: 13, defense: 1, attackRange: 3, aggroRadius: 8, moveSpeed: 2, fleeBelow: 0.25 }
+      ],
+      field: [
+        { type: 'boar', name: 'Wild Boar', health: 40, damage: 7, defense: 2, attackRange: 1.5, aggroRadius: 4, moveSpeed: 1, fleeBelow: 0.3 }
+      ]
+    };
+
+    this.ENEMY_RULES = {
+      dangerScaling: 0.25, // extra health and damage per danger level above 1
+      leashMultiplier: 2, // targets further than aggroRadius * this are given up
+      idleRegen: 0.1, // fraction of max health recovered per tick while idle at home
+      goldPerDanger: 5 // gold paid to the player who lands the killing blow
+    };
+
+    console.log('EnemyManager initialized');
+  }
+
+  /**
+   * Enemy ids are namespaced so kill credit can tell monsters from players
+   */
+  isEnemyId(id) {
+    return typeof id === 'string' && id.startsWith('enemy:');
+  }
+
+  getMatchEnemies(matchId) {
+    if (!this.enemiesByMatch.has(matchId)) {
+      this.enemiesByMatch.set(matchId, { rooms: new Map(), enemies: new Map() });
+    }
+    return this.enemiesByMatch.get(matchId);
+  }
+
+  getEnemy(matchId, enemyId) {
+    const enemy = this.enemiesByMatch.get(matchId)?.enemies.get(enemyId);
+    return enemy && enemy.gameState.alive ? enemy : null;
+  }
+
+  hasRoom(matchId, roomKey) {
+    return Boolean(this.enemiesByMatch.get(matchId)?.rooms.has(roomKey));
+  }
+
+  /**
+   * Turn a room's ENEMY markers into monsters (once per room per match)
+   * The monster type is picked from the room seed so every match with the same seed agrees
+   */
+  spawnRoomEnemies(matchId, roomData, danger) {
+    const matchEnemies = this.getMatchEnemies(matchId);
+    const roomKey = `${roomData.worldPos.x},${roomData.worldPos.y}`;
+    if (matchEnemies.rooms.has(roomKey)) return [];
+
+    const roster = this.MONSTER_TYPES[roomData.roomType] || this.MONSTER_TYPES.field;
+    const random = createSeededRandom(roomData.seed);
+    const scale = 1 + Math.max(0, danger - 1) * this.ENEMY_RULES.dangerScaling;
+    const spawned = [];
+
+    for (let y = 0; y < ROOM_SIZE; y++) {
+      for (let x = 0; x < ROOM_SIZE; x++) {
+        if (roomData.entities[y]?.[x] !== 'ENEMY' || !this.isWalkable(roomData.terrain, x, y)) continue;
+
+        const template = roster[Math.floor(random() * roster.length)];
+        const maxHealth = Math.round(template.health * scale);
+        const enemy = {
+          enemyId: `enemy:${roomKey}:${x},${y}`,
+          matchId,
+          roomKey,
+          type: template.type,
+          name: template.name,
+          danger,
+          state: 'IDLE',
+          targetId: null,
+          alerted: false,
+          home: { x, y },
+          damage: Math.round(template.damage * scale),
+          attackRange: template.attackRange,
+          aggroRadius: template.aggroRadius,
+          moveSpeed: template.moveSpeed,
+          fleeBelow: template.fleeBelow,
+          // Shaped like a player's gameState so the shared combat maths works on monsters too
+          gameState: {
+            position: { world: { ...roomData.worldPos }, room: { x, y } },
+            health: maxHealth,
+            maxHealth,
+            alive: true,
+            stats: { attack: 0, defense: template.defense },
+            statusEffects: []
+          }
+        };
+
+        matchEnemies.enemies.set(enemy.enemyId, enemy);
+        spawned.push(enemy);
+      }
+    }
+
+    matchEnemies.rooms.set(roomKey, { terrain: roomData.terrain, enemyIds: spawned.map(enemy => enemy.enemyId) });
+
+    if (spawned.length > 0) {
+      console.log(`Spawned ${spawned.length} enemies in ${roomData.roomType} room (${roomKey}) at danger ${danger} for match ${matchId}`);
+    }
+    return spawned;
+  }
+
+  /**
+   * Living monsters in a room
+   */
+  getRoomEnemies(matchId, roomKey) {
+    const matchEnemies = this.enemiesByMatch.get(matchId);
+    const room = matchEnemies?.rooms.get(roomKey);
+    if (!room) return [];
+
+    return room.enemyIds
+      .map(enemyId => matchEnemies.enemies.get(enemyId))
+      .filter(enemy => enemy && enemy.gameState.alive);
+  }
+
+  /**
+   * Run one AI step for every monster in the given rooms
+   * players: living, standing player connections; only those in a monster's room matter to it
+   * Returns { attacks: [{ enemyId, targetId }], stateChanges: [{ enemyId, from, to, targetId }] }
+   */
+  updateEnemies(matchId, roomKeys, players) {
+    const attacks = [];
+    const stateChanges = [];
+
+    for (const roomKey of roomKeys) {
+      const room = this.enemiesByMatch.get(matchId)?.rooms.get(roomKey);
+      if (!room) continue;
+
+      const roomPlayers = players.filter(player =>
+        `${player.gameState.position.world.x},${player.gameState.position.world.y}` === roomKey);
+      const enemies = this.getRoomEnemies(matchId, roomKey);
+
+      for (const enemy of enemies) {
+        const previousState = enemy.state;
+        const attack = this.stepEnemy(enemy, room.terrain, roomPlayers, enemies);
+        if (attack) {
+          attacks.push(attack);
+        }
+        if (enemy.state !== previousState) {
+          stateChanges.push({ enemyId: enemy.enemyId, from: previousState, to: enemy.state, targetId: enemy.targetId });
+        }
+      }
+    }
+
+    return { attacks, stateChanges };
+  }
+
+  /**
+   * The state machine: returns an attack when the monster swings this tick
+   */
+  stepEnemy(enemy, terrain, roomPlayers, roomEnemies) {
+    const state = enemy.gameState;
+    const leashRange = enemy.aggroRadius * this.ENEMY_RULES.leashMultiplier;
+    const distanceTo = player => distanceBetween(state.position, player.gameState.position);
+
+    // A monster roused by an alarm hunts its target across the whole room
+    let target = roomPlayers.find(player => player.playerId === enemy.targetId) || null;
+    if (target && !enemy.alerted && distanceTo(target) > leashRange) {
+      target = null;
+    }
+
+    if (!target) {
+      enemy.targetId = null;
+      enemy.alerted = false;
+
+      // Idle monsters notice the closest player inside their aggro radius
+      const nearest = roomPlayers
+        .map(player => ({ player, distance: distanceTo(player) }))
+        .filter(entry => entry.distance <= enemy.aggroRadius)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (!nearest) {
+        enemy.state = 'IDLE';
+        this.returnHome(enemy, terrain, roomEnemies);
+        return null;
+      }
+
+      target = nearest.player;
+      enemy.targetId = target.playerId;
+      if (enemy.state === 'IDLE') {
+        enemy.state = 'CHASE';
+      }
+    }
+
+    if (enemy.fleeBelow > 0 && state.health <= state.maxHealth * enemy.fleeBelow) {
+      enemy.state = 'FLEE';
+      this.moveAway(enemy, terrain, roomEnemies, getRoomCell(target.gameState.position));
+      return null;
+    }
+
+    if (distanceTo(target) <= enemy.attackRange) {
+      enemy.state = 'ATTACK';
+      return { enemyId: enemy.enemyId, targetId: target.playerId };
+    }
+
+    enemy.state = 'CHASE';
+    this.moveTowards(enemy, terrain, roomEnemies, getRoomCell(target.gameState.position));
+    return null;
+  }
+
+  /**
+   * Set every monster in a room on one player (e.g. an alarm trap went off)
+   * Returns the ids of the monsters that answered
+   */
+  alertRoom(matchId, roomKey, playerId) {
+    const alerted = [];
+
+    for (const enemy of this.getRoomEnemies(matchId, roomKey)) {
+      if (enemy.state === 'FLEE') continue;
+
+      enemy.targetId = playerId;
+      enemy.alerted = true;
+      if (enemy.state === 'IDLE') {
+        enemy.state = 'CHASE';
+      }
+      alerted.push(enemy.enemyId);
+    }
+
+    return alerted;
+  }
+
+  returnHome(enemy, terrain, roomEnemies) {
+    const cell = enemy.gameState.position.room;
+    if (cell.x === enemy.home.x && cell.y === enemy.home.y) {
+      const state = enemy.gameState;
+      state.health = Math.min(state.maxHealth, state.health + Math.ceil(state.maxHealth * this.ENEMY_RULES.idleRegen));
+      return;
+    }
+
+    this.moveTowards(enemy, terrain, roomEnemies, enemy.home, true);
+  }
+
+  /**
+   * Walk along the shortest path, stopping next to the goal unless asked to stand on it
+   */
+  moveTowards(enemy, terrain, roomEnemies, goal, enterGoal = false) {
+    const path = this.findPath(terrain, enemy.gameState.position.room, goal, this.getOccupiedCells(enemy, roomEnemies));
+    if (path.length < 2) return;
+
+    const lastStep = enterGoal ? path.length - 1 : path.length - 2;
+    const stepIndex = Math.min(enemy.moveSpeed, lastStep);
+    if (stepIndex < 1) return;
+
+    enemy.gameState.position.room = { ...path[stepIndex] };
+  }
+
+  /**
+   * Greedy retreat: each step goes to the free neighbour furthest from the threat
+   */
+  moveAway(enemy, terrain, roomEnemies, threat) {
+    const occupied = this.getOccupiedCells(enemy, roomEnemies);
+
+    for (let step = 0; step < enemy.moveSpeed; step++) {
+      const cell = enemy.gameState.position.room;
+      const distanceFromThreat = ({ x, y }) => Math.hypot(x - threat.x, y - threat.y);
+
+      const best = this.getNeighbours(terrain, cell)
+        .filter(next => !occupied.has(`${next.x},${next.y}`))
+        .sort((a, b) => distanceFromThreat(b) - distanceFromThreat(a))[0];
+
+      if (!best || distanceFromThreat(best) <= distanceFromThreat(cell)) return;
+      enemy.gameState.position.room = best;
+    }
+  }
+
+  getOccupiedCells(enemy, roomEnemies) {
+    const occupied = new Set();
+    for (const other of roomEnemies) {
+      if (other !== enemy && other.gameState.alive) {
+        occupied.add(`${other.gameState.position.room.x},${other.gameState.position.room.y}`);
+      }
+    }
+    return occupied;
+  }
+
+  isWalkable(terrain, x, y) {
+    const cell = terrain[y]?.[x];
+    return cell !== undefined && cell !== 'wall' && cell !== 'water';
+  }
+
+  getNeighbours(terrain, cell) {
+    const neighbours = [];
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const x = cell.x + dx;
+      const y = cell.y + dy;
+      if (this.isWalkable(terrain, x, y)) {
+        neighbours.push({ x, y });
+      }
+    }
+    return neighbours;
+  }
+
+  /**
+   * Breadth-first search over the room grid (uniform step cost, 4-way)
+   * Returns the cells from start to goal inclusive, or [] when the goal can't be reached
+   */
+  findPath(terrain, start, goal, blocked = new Set()) {
+    const startKey = `${start.x},${start.y}`;
+    const goalKey = `${goal.x},${goal.y}`;
+    if (startKey === goalKey) return [{ x: start.x, y: start.y }];
+
+    const cameFrom = new Map([[startKey, null]]);
+    const queue = [{ x: start.x, y: start.y }];
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+
+      for (const next of this.getNeighbours(terrain, current)) {
+        const key = `${next.x},${next.y}`;
+        if (cameFrom.has(key) || (blocked.has(key) && key !== goalKey)) continue;
+
+        cameFrom.set(key, current);
+        if (key === goalKey) {
+          const path = [next];
+          let previous = current;
+          while (previous) {
+            path.unshift(previous);
+            previous = cameFrom.get(`${previous.x},${previous.y}`);
+          }
+          return path;
+        }
+        queue.push(next);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Monster damage against a player's defense
+   */
+  calculateEnemyDamage(enemy, defense) {
+    const variance = Math.floor(Math.random() * 5) - 2; // ±2 like player attacks
+    return Math.max(1, enemy.damage - Math.floor(defense / 2) + variance);
+  }
+
+  /**
+   * Apply player damage to a monster; being hit always draws its attention
+   */
+  damageEnemy(enemy, attackerId, damage) {
+    const state = enemy.gameState;
+    const oldHealth = state.health;
+
+    state.health = Math.max(0, state.health - damage);
+    if (state.health <= 0) {
+      state.alive = false;
+      enemy.state = 'DEAD';
+      enemy.targetId = null;
+    } else if (enemy.state !== 'FLEE') {
+      enemy.targetId = attackerId;
+      if (enemy.state === 'IDLE') {
+        enemy.state = 'CHASE';
+      }
+    }
+
+    return {
+      enemyId: enemy.enemyId,
+      damage,
+      oldHealth,
+      newHealth: state.health,
+      isDead: !state.alive
+    };
+  }
+
+  /**
+   * Client-facing monster state
+   */
+  describeEnemy(enemy) {
+    return {
+      enemyId: enemy.enemyId,
+      type: enemy.type,
+      name: enemy.name,
+      danger: enemy.danger,
+      state: enemy.state,
+      targetId: enemy.targetId,
+      position: {
+        world: { ...enemy.gameState.position.world },
+        room: { ...enemy.gameState.position.room }
+      },
+      health: enemy.gameState.health,
+      maxHealth: enemy.gameState.maxHealth
+    };
+  }
+
+  removeMatch(matchId) {
+    this.enemiesByMatch.delete(matchId);
+  }
+
+  cleanup() {
+    this.enemiesByMatch.clear();
+  }
+}
+
+module.exports = EnemyManager;
@@ -0,0 +1,144 @@
+const { distanceBetween, traceGridLine, getRoomCell } = require('./utils/position');
+
+/**
+ * InterestManager - which players each player is allowed to know about
+ * Every player subscribes to the players they can currently see: others in the same
+ * room (world tile), within the view radius and not hidden behind a room wall.
+ * Position-bearing events are routed to a subject's subscribers only, so a client
+ * never learns where an opponent is before it could have seen them.
+ */
+class InterestManager {
+  constructor() {
+    this.viewsByMatch = new Map(); // matchId -> Map<observerId, Set<subjectId>>
+
+    this.INTEREST_RULES = {
+      viewRadius: Number(process.env.INTEREST_VIEW_RADIUS) || 8, // room cells
+      lineOfSight: process.env.INTEREST_LINE_OF_SIGHT !== 'false', // room walls block sight
+      shareTeamVision: true // teammates always see each other
+    };
+
+    console.log('InterestManager initialized');
+  }
+
+  /**
+   * Whether observer can see subject right now
+   * getTerrain(worldX, worldY) returns the room terrain grid for the line-of-sight check
+   */
+  canSee(observer, subject, getTerrain) {
+    if (observer.playerId === subject.playerId) return true;
+
+    const rules = this.INTEREST_RULES;
+    if (rules.shareTeamVision && observer.gameState.teamId &&
+      observer.gameState.teamId === subject.gameState.teamId) {
+      return true;
+    }
+
+    const from = observer.gameState.position;
+    const to = subject.gameState.position;
+    if (from.world.x !== to.world.x || from.world.y !== to.world.y) return false;
+    if (distanceBetween(from, to) > rules.viewRadius) return false;
+
+    return !rules.lineOfSight || this.hasLineOfSight(getTerrain(from.world.x, from.world.y), from, to);
+  }
+
+  /**
+   * Trace cell centre to cell centre; any wall strictly between the two blocks sight
+   * A room we know nothing about blocks everything
+   */
+  hasLineOfSight(terrain, fromPos, toPos) {
+    if (!terrain) return false;
+
+    const fromCell = getRoomCell(fromPos);
+    const toCell = getRoomCell(toPos);
+    const cells = traceGridLine(
+      { x: fromCell.x + 0.5, y: fromCell.y + 0.5 },
+      { x: toCell.x + 0.5, y: toCell.y + 0.5 }
+    ).slice(1, -1);
+
+    return cells.every(cell => terrain[cell.y]?.[cell.x] !== 'wall');
+  }
+
+  getView(matchId, observerId) {
+    return this.viewsByMatch.get(matchId)?.get(observerId) || new Set();
+  }
+
+  isSubscribed(matchId, observerId, subjectId) {
+    return observerId === subjectId || this.getView(matchId, observerId).has(subjectId);
+  }
+
+  /**
+   * Players who currently see any of the subjects, the subjects themselves included
+   */
+  getSubscribers(matchId, subjectIds) {
+    const subscribers = new Set(subjectIds);
+    for (const [observerId, view] of this.viewsByMatch.get(matchId) || []) {
+      if (subjectIds.some(subjectId => view.has(subjectId))) {
+        subscribers.add(observerId);
+      }
+    }
+    return subscribers;
+  }
+
+  /**
+   * Re-evaluate one player's visibility both ways against everyone else in the match
+   * Call after the player moved. Returns the subscriptions that changed as
+   * [{ observerId, subjectId, visible }]
+   */
+  refreshPlayer(matchId, player, others, getTerrain) {
+    if (!this.viewsByMatch.has(matchId)) {
+      this.viewsByMatch.set(matchId, new Map());
+    }
+    const views = this.viewsByMatch.get(matchId);
+    const changes = [];
+
+    const update = (observer, subject) => {
+      if (!views.has(observer.playerId)) {
+        views.set(observer.playerId, new Set());
+      }
+      const view = views.get(observer.playerId);
+      const visible = this.canSee(observer, subject, getTerrain);
+
+      if (visible !== view.has(subject.playerId)) {
+        if (visible) {
+          view.add(subject.playerId);
+        } else {
+          view.delete(subject.playerId);
+        }
+        changes.push({ observerId: observer.playerId, subjectId: subject.playerId, visible });
+      }
+    };
+
+    for (const other of others) {
+      if (other.playerId === player.playerId) continue;
+      update(player, other);
+      update(other, player);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Drop a player from every view; returns the observers that could still see them
+   */
+  removePlayer(matchId, playerId) {
+    const views = this.viewsByMatch.get(matchId);
+    if (!views) return [];
+
+    views.delete(playerId);
+    const observers = [];
+    for (const [observerId, view] of views) {
+      if (view.delete(playerId)) observers.push(observerId);
+    }
+    return observers;
+  }
+
+  removeMatch(matchId) {
+    this.viewsByMatch.delete(matchId);
+  }
+
+  cleanup() {
+    this.viewsByMatch.clear();
+  }
+}
+
+module.exports = InterestManager;
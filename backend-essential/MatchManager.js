@@ -1,4 +1,15 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { ROOM_SIZE, DEFAULT_WORLD_BOUNDS } = require('./utils/position');
+const { fractalNoise2D, createSeededRandom } = require('./utils/noise');
+const { saveMatchResults } = require('./utils/matchResults');
+
+// Players per team; modes not listed (solo, ranked, custom) are free-for-all
+const TEAM_SIZES = {
+  BATTLE_ROYALE_SOLO: 1,
+  BATTLE_ROYALE_DUO: 2,
+  BATTLE_ROYALE_SQUAD: 4
+};
 
 /**
  * MatchManager - Handles match lifecycle and server-side map generation
@@ -11,9 +22,11 @@ class MatchManager {
     this.matchQueue = new Map(); // queueId -> QueuedPlayers
 
     // Match configuration
-    this.MAX_PLAYERS_PER_MATCH = 4;
-    this.MIN_PLAYERS_TO_START = 2;
+    this.MAX_PLAYERS_PER_MATCH = 4; // in team modes this many teams
+    this.MIN_PLAYERS_TO_START = 2; // likewise counted in teams
+    this.TEAM_SIZES = TEAM_SIZES;
     this.MATCH_DURATION = 300000; // 5 minutes
+    this.CONNECT_DEADLINE = 60000; // matchmade players not connected by then are eliminated
     this.MAP_SEED = 12345; // Base seed for consistent map generation
 
     // Terrain accessibility rules
@@ -50,60 +63,303 @@ class MatchManager {
       'cliff': { accessible: false, roomType: null, description: 'Sheer cliff face - impassable' }
     };
 
+    // World generation tuning - elevation/moisture are fractal noise stretched around 0.5
+    this.WORLD_GENERATION = {
+      elevation: { frequency: 0.045, octaves: 4 },
+      moisture: { frequency: 0.06, octaves: 3 },
+      contrast: 2.2,
+      seaLevel: 0.22, // below: deep ocean
+      shallowLevel: 0.28, // below: shallow water
+      beachLevel: 0.32, // below: beach (or swamp when wet)
+      hillLevel: 0.68,
+      cliffLevel: 0.76,
+      mountainLevel: 0.8,
+      riverCount: { min: 3, max: 5 },
+      riverSourceElevation: { min: 0.6, max: 0.78 },
+      riverMaxLength: 120,
+      fordInterval: 9 // every Nth river tile is a shallow, walkable ford
+    };
+
+    // Landmark placement per seed. The hub town is the spawn point; other types are placed in order.
+    // terrain: biomes the landmark may replace; spacing: minimum tiles to another landmark of the same type
+    this.LANDMARK_RULES = {
+      minSpacing: 5, // tiles between any two landmarks
+      edgeMargin: 2,
+      spawnSearchRadius: 10,
+      minSpawnRegion: 800, // accessible tiles connected to the spawn
+      spawnRoomCell: { x: 3, y: 4 }, // walkable in every town room
+      types: [
+        { type: 'town', count: [1, 2], spacing: 20, terrain: ['grass', 'hills', 'beach'] },
+        { type: 'village', count: [2, 3], spacing: 12, terrain: ['grass', 'forest', 'beach', 'hills'] },
+        { type: 'dungeon', count: [2, 3], spacing: 15, terrain: ['hills', 'forest', 'swamp', 'desert'] },
+        { type: 'cave', count: [1, 2], spacing: 12, terrain: ['hills'] },
+        { type: 'ruins', count: [1, 2], spacing: 12, terrain: ['desert', 'grass', 'forest', 'swamp'] },
+        { type: 'temple', count: [1, 2], spacing: 18, terrain: ['hills', 'grass', 'desert'] },
+        { type: 'tower', count: [1, 1], spacing: 0, terrain: ['hills', 'grass', 'forest'] },
+        { type: 'portal', count: [2, 3], spacing: 14, terrain: ['grass', 'hills', 'desert', 'forest'] },
+        { type: 'camp', count: [2, 4], spacing: 10, terrain: ['forest', 'grass', 'hills', 'beach', 'desert'] }
+      ]
+    };
+
+    // Seeded name tables - {prefix} is drawn from prefixes
+    this.LANDMARK_NAMES = {
+      prefixes: [
+        'Amber', 'Ash', 'Black', 'Briar', 'Cinder', 'Crow', 'Dawn', 'Dusk', 'Elder', 'Ember',
+        'Frost', 'Gold', 'Grey', 'Hollow', 'Iron', 'Moon', 'Oak', 'Raven', 'Red', 'Salt',
+        'Silver', 'Stone', 'Storm', 'Thorn', 'Willow', 'Winter', 'Wolf'
+      ],
+      town: ['{prefix}ford', '{prefix}haven', '{prefix}market', '{prefix}bridge', '{prefix}stead'],
+      village: ['{prefix}brook', '{prefix}field', '{prefix}dale', '{prefix}wick', '{prefix} Hamlet'],
+      dungeon: ['The {prefix} Depths', '{prefix} Crypt', '{prefix} Catacombs', 'Vault of the {prefix} King'],
+      cave: ['{prefix} Grotto', '{prefix} Hollow Cave', '{prefix} Caverns'],
+      ruins: ['Ruins of {prefix}hold', 'Fallen {prefix} Keep', '{prefix} Remnants'],
+      temple: ['Temple of the {prefix} Dawn', '{prefix} Sanctum', 'Shrine of {prefix}'],
+      tower: ['{prefix} Spire', 'Tower of {prefix}', '{prefix} Observatory'],
+      portal: ['{prefix} Gate', '{prefix} Rift', '{prefix} Waystone'],
+      camp: ['{prefix} Camp', '{prefix} Outpost', '{prefix} Bivouac']
+    };
+
+    // Safe zone phases per game mode. Each phase waits, then shrinks to a seeded circle.
+    // radius is in world tiles; damagePerTick applies outside the zone once the phase starts shrinking
+    this.ZONE_PHASES = {
+      BATTLE_ROYALE_SOLO: [
+        { waitMs: 45000, shrinkMs: 30000, radius: 24, damagePerTick: 2 },
+        { waitMs: 30000, shrinkMs: 25000, radius: 12, damagePerTick: 4 },
+        { waitMs: 25000, shrinkMs: 20000, radius: 6, damagePerTick: 7 },
+        { waitMs: 20000, shrinkMs: 15000, radius: 3, damagePerTick: 10 },
+        { waitMs: 15000, shrinkMs: 15000, radius: 1, damagePerTick: 15 }
+      ],
+      BATTLE_ROYALE_DUO: [
+        { waitMs: 50000, shrinkMs: 30000, radius: 28, damagePerTick: 2 },
+        { waitMs: 35000, shrinkMs: 25000, radius: 14, damagePerTick: 4 },
+        { waitMs: 25000, shrinkMs: 20000, radius: 7, damagePerTick: 6 },
+        { waitMs: 20000, shrinkMs: 15000, radius: 3, damagePerTick: 9 },
+        { waitMs: 10000, shrinkMs: 10000, radius: 1, damagePerTick: 14 }
+      ],
+      BATTLE_ROYALE_SQUAD: [
+        { waitMs: 60000, shrinkMs: 30000, radius: 32, damagePerTick: 1 },
+        { waitMs: 35000, shrinkMs: 25000, radius: 16, damagePerTick: 3 },
+        { waitMs: 25000, shrinkMs: 20000, radius: 8, damagePerTick: 5 },
+        { waitMs: 15000, shrinkMs: 15000, radius: 4, damagePerTick: 8 },
+        { waitMs: 10000, shrinkMs: 10000, radius: 1, damagePerTick: 12 }
+      ]
+    };
+    this.DEFAULT_GAME_MODE = 'BATTLE_ROYALE_SOLO';
+    this.ZONE_RULES = {
+      initialDamagePerTick: 1, // outside the opening circle (only reachable at the map corners)
+      damageRampPerTick: 1 // extra damage for each consecutive tick spent outside
+    };
+
+    // Monster strength by area: the room type sets the base level, distance from spawn adds to it
+    this.DANGER_RULES = {
+      roomDanger: { dungeon: 3, cave: 2, swamp: 2, ruins: 2, portal: 2, forest: 1, hills: 1, desert: 1 },
+      tilesPerLevel: 15,
+      maxDanger: 6
+    };
+
+    // Portal landmarks are linked into networks; each portal leads to the next one in its network
+    this.PORTAL_RULES = {
+      portalCell: { x: 10, y: 10 }, // the 'portal' tile in every portal room
+      networkSize: 3,
+      channelTime: 3000, // ms standing on the portal before the jump
+      cooldown: 30000 // ms per player between jumps
+    };
+
+    // Road routing costs per tile; water becomes a bridge, blocked terrain becomes a pass
+    this.ROAD_COSTS = {
+      road: 0.5,
+      bridge: 0.5,
+      swamp: 3,
+      desert: 2,
+      water: 6,
+      river: 6,
+      deep_water: 30,
+      blocked: 12,
+      default: 1
+    };
+
+    // Doorways in the border wall towards each accessible neighbouring tile
+    // cells: offsets along the edge that become 'exit' tiles
+    this.ROOM_EXITS = {
+      cells: [9, 10],
+      directions: {
+        north: { dx: 0, dy: -1, opposite: 'south' },
+        south: { dx: 0, dy: 1, opposite: 'north' },
+        west: { dx: -1, dy: 0, opposite: 'east' },
+        east: { dx: 1, dy: 0, opposite: 'west' }
+      }
+    };
+
     console.log('MatchManager initialized with terrain accessibility system');
   }
 
   /**
    * Create a new match with server-generated map
+   * options.matchId lets the caller pin the id (e.g. the id clients connect with)
+   * options.persistResults = false keeps debug matches out of the database
+   * options.awaitPlayers marks a matchmade roster - nobody else may join
    */
-  createMatch(players) {
-    const matchId = uuidv4();
+  createMatch(players, options = {}) {
+    const matchId = options.matchId || uuidv4();
     const matchSeed = this.generateMatchSeed();
+    const gameMode = options.gameMode || this.DEFAULT_GAME_MODE;
 
     const matchState = {
       matchId,
+      // Row key in the matches table - unique per match even when clients reuse an id like 'lobby'
+      matchCode: options.matchCode || this.generateMatchCode(),
       seed: matchSeed,
+      gameMode,
+      region: options.region || null,
+      maxPlayers: this.getMaxPlayers(gameMode),
+      persistResults: options.persistResults !== false,
+      rosterOnly: Boolean(options.awaitPlayers),
       status: 'STARTING',
       players: new Map(), // playerId -> PlayerState
+      connected: new Set(), // playerIds that have joined the game server at least once
+      connectTimer: null, // matchmade matches: fires at the connect deadline
       map: this.generateServerMap(matchSeed),
       rooms: new Map(), // "x,y" -> RoomData
       startTime: Date.now(),
       endTime: null,
+      endTimer: null,
       winner: null,
+      result: null,
       stats: {
         kills: new Map(),
         deaths: new Map(),
         itemsCollected: new Map(),
-        roomsExplored: new Map()
+        roomsExplored: new Map(),
+        monsterKills: new Map() // playerId -> { monsterType: count }
       }
     };
 
     // Initialize player states
     for (const player of players) {
-      matchState.players.set(player.playerId, {
-        playerId: player.playerId,
-        username: player.username,
-        status: 'ALIVE',
-        position: { world: { x: 0, y: 0 }, room: { x: 3, y: 4 } },
-        health: 100,
-        kills: 0,
-        deaths: 0,
-        itemsCollected: 0,
-        roomsExplored: new Set(),
-        damageDealt: 0,
-        damageTaken: 0,
-        deathTime: null,
-        firstKillTime: null,
-        lastActivity: Date.now()
-      });
+      matchState.players.set(player.playerId, this.createPlayerState(player, matchState.map.spawn));
     }
 
+    matchState.zone = this.generateZonePhases(matchState.map, gameMode);
+
     this.matches.set(matchId, matchState);
     console.log(`Match created: ${matchId} with ${players.length} players (seed: ${matchSeed})`);
 
     return matchState;
   }
 
+  /**
+   * Players per team for a game mode (1 for free-for-all)
+   */
+  getTeamSize(gameMode) {
+    return MatchManager.getTeamSize(gameMode);
+  }
+
+  /**
+   * Team size without a MatchManager instance, e.g. for queue validation in the API
+   */
+  static getTeamSize(gameMode) {
+    return TEAM_SIZES[gameMode] || 1;
+  }
+
+  getMaxPlayers(gameMode) {
+    return this.MAX_PLAYERS_PER_MATCH * this.getTeamSize(gameMode);
+  }
+
+  /**
+   * Build the initial tracked state for a player joining a match
+   */
+  createPlayerState(player, spawn) {
+    return {
+      playerId: player.playerId,
+      username: player.username,
+      teamId: player.teamId || null, // null = solo, the player is their own team
+      status: 'ALIVE',
+      position: { world: { ...spawn.world }, room: { ...spawn.room } },
+      health: 100,
+      kills: 0,
+      deaths: 0,
+      itemsCollected: 0,
+      roomsExplored: new Set(),
+      damageDealt: 0,
+      damageTaken: 0,
+      monsterKills: 0,
+      pveDeaths: 0, // deaths to monsters
+      deathTime: null,
+      placement: null, // set once the player's team is eliminated, or at match end
+      eliminatedBy: null,
+      firstKillTime: null,
+      session: null, // in-match game state kept while the player is disconnected
+      lastActivity: Date.now()
+    };
+  }
+
+  /**
+   * Keep a disconnecting player's in-match state so a rejoin picks up where they left off
+   * (position is tracked separately by updatePlayerPosition)
+   */
+  savePlayerSession(matchId, playerId, gameState) {
+    const playerState = this.matches.get(matchId)?.players.get(playerId);
+    if (!playerState || playerState.status !== 'ALIVE') return false;
+
+    playerState.health = gameState.health;
+    playerState.session = {
+      health: gameState.health,
+      maxHealth: gameState.maxHealth,
+      mana: gameState.mana,
+      maxMana: gameState.maxMana,
+      gold: gameState.gold,
+      kills: gameState.kills,
+      statusEffects: gameState.statusEffects.map(effect => ({ ...effect })),
+      skillCooldowns: { ...gameState.skillCooldowns },
+      downed: gameState.downed,
+      downedAt: gameState.downedAt,
+      downedBy: gameState.downedBy,
+      portalCooldownUntil: gameState.portalCooldownUntil
+    };
+    return true;
+  }
+
+  /**
+   * Why a player may not connect to a match, or null if they may
+   */
+  getJoinRefusal(matchId, playerId) {
+    const match = this.matches.get(matchId);
+    if (!match) return null;
+
+    const playerState = match.players.get(playerId);
+    if (!playerState) {
+      // Newcomers only get into an open match that hasn't started
+      if (match.rosterOnly) return 'NOT_ON_ROSTER';
+      if (match.status !== 'STARTING') return 'MATCH_IN_PROGRESS';
+      return null;
+    }
+
+    if (playerState.status !== 'ALIVE') return 'PLAYER_ELIMINATED';
+    return null;
+  }
+
+  /**
+   * Add a player to an existing match
+   */
+  addPlayer(matchId, player) {
+    const match = this.matches.get(matchId);
+    if (!match) return false;
+
+    if (!match.players.has(player.playerId)) {
+      match.players.set(player.playerId, this.createPlayerState(player, match.map.spawn));
+      console.log(`Player ${player.playerId} added to match ${matchId}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Code for a match that didn't come from the matchmaker; matchmade codes start with M
+   */
+  generateMatchCode() {
+    return `G${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
   /**
    * Generate a unique seed for each match to ensure consistent but varied maps
    */
@@ -117,29 +373,555 @@ class MatchManager {
   generateServerMap(seed) {
     const mapData = {
       seed,
+      spawn: null, // { world, room } where players enter the match
       landmarks: new Map(),
+      features: new Map(), // "x,y" -> river / ford / road / bridge terrain overlaid on the biomes
       terrainCache: new Map(),
-      bounds: { minX: -50, maxX: 50, minY: -50, maxY: 50 }
+      bounds: { ...DEFAULT_WORLD_BOUNDS }
     };
 
-    // Pre-generate important landmarks with consistent positions
-    const landmarks = [
-      { x: 0, y: 0, type: 'town', name: 'Central Town' },
-      { x: 5, y: -3, type: 'village', name: 'Riverside Village' },
-      { x: -7, y: 4, type: 'dungeon', name: 'Dark Depths' },
-      { x: 2, y: 8, type: 'ruins', name: 'Ancient Ruins' },
-      { x: -4, y: -6, type: 'cave', name: 'Crystal Cave' },
-      { x: 10, y: 2, type: 'tower', name: 'Wizard Tower' },
-      { x: -10, y: -10, type: 'village', name: 'Northern Outpost' },
-      { x: 15, y: 15, type: 'dungeon', name: 'Eastern Stronghold' }
-    ];
+    this.placeLandmarks(mapData);
+    this.generateRivers(mapData);
+    this.generateRoadNetwork(mapData);
+    this.pruneUnreachableLandmarks(mapData);
+    this.linkPortalNetworks(mapData);
+
+    console.log(`Generated server map with seed ${seed} and ${mapData.landmarks.size} landmarks`);
+    return mapData;
+  }
+
+  /**
+   * Place the spawn town and the other landmarks for this seed.
+   * Sites must be on compatible biomes, spaced apart and connected to the spawn by accessible land.
+   */
+  placeLandmarks(mapData) {
+    const rules = this.LANDMARK_RULES;
+    const random = createSeededRandom(mapData.seed ^ 0x4c4d524b);
+    const { regionOf, regionSizes } = this.labelAccessibleRegions(mapData);
+    const usedNames = new Set();
+    const placed = [];
+
+    const inMargin = (x, y) => x >= mapData.bounds.minX + rules.edgeMargin && x <= mapData.bounds.maxX - rules.edgeMargin &&
+      y >= mapData.bounds.minY + rules.edgeMargin && y <= mapData.bounds.maxY - rules.edgeMargin;
+
+    const spacingOk = (x, y, type, spacing) => placed.every(landmark => {
+      const distance = Math.hypot(landmark.x - x, landmark.y - y);
+      return distance >= rules.minSpacing && (landmark.type !== type || distance >= spacing);
+    });
+
+    const place = (x, y, type) => {
+      const landmark = { x, y, type, name: this.generateLandmarkName(type, random, usedNames) };
+      placed.push(landmark);
+      mapData.landmarks.set(`${x},${y}`, landmark);
+      return landmark;
+    };
+
+    // Spawn: a town near the centre inside a large connected region, widening the search if needed
+    const hubRule = rules.types.find(rule => rule.type === 'town');
+    let spawnTile = null;
+    for (let radius = rules.spawnSearchRadius; !spawnTile && radius <= mapData.bounds.maxX; radius *= 2) {
+      for (let attempt = 0; attempt < 200 && !spawnTile; attempt++) {
+        const x = Math.floor(random() * (radius * 2 + 1)) - radius;
+        const y = Math.floor(random() * (radius * 2 + 1)) - radius;
+        if (!inMargin(x, y)) continue;
+
+        const region = regionOf.get(`${x},${y}`);
+        if (region === undefined || regionSizes[region] < rules.minSpawnRegion) continue;
+        if (!hubRule.terrain.includes(this.generateTerrainType(x, y, mapData.seed))) continue;
+
+        spawnTile = { x, y };
+      }
+    }
 
-    for (const landmark of landmarks) {
-      mapData.landmarks.set(`${landmark.x},${landmark.y}`, landmark);
+    if (!spawnTile) {
+      // Degenerate seed - fall back to the centre and let the roads do the work
+      spawnTile = { x: 0, y: 0 };
     }
 
-    console.log(`Generated server map with seed ${seed} and ${landmarks.length} landmarks`);
-    return mapData;
+    place(spawnTile.x, spawnTile.y, 'town').isSpawn = true;
+    mapData.spawn = { world: { ...spawnTile }, room: { ...rules.spawnRoomCell } };
+
+    // Candidate sites: every tile connected to the spawn
+    const spawnRegion = regionOf.get(`${spawnTile.x},${spawnTile.y}`);
+    const candidates = [];
+    for (const [key, region] of regionOf) {
+      if (region !== spawnRegion) continue;
+      const [x, y] = key.split(',').map(Number);
+      if (inMargin(x, y)) candidates.push({ x, y });
+    }
+
+    for (const rule of rules.types) {
+      const count = rule.count[0] + Math.floor(random() * (rule.count[1] - rule.count[0] + 1));
+      let placedOfType = rule.type === 'town' ? 1 : 0; // the spawn town counts
+
+      for (let attempt = 0; attempt < 300 && placedOfType < count && candidates.length > 0; attempt++) {
+        const { x, y } = candidates[Math.floor(random() * candidates.length)];
+        if (mapData.landmarks.has(`${x},${y}`)) continue;
+        if (!rule.terrain.includes(this.generateTerrainType(x, y, mapData.seed))) continue;
+        if (!spacingOk(x, y, rule.type, rule.spacing)) continue;
+
+        place(x, y, rule.type);
+        placedOfType++;
+      }
+    }
+  }
+
+  /**
+   * Flood-fill accessible biome tiles into connected regions
+   */
+  labelAccessibleRegions(mapData) {
+    const { bounds } = mapData;
+    const regionOf = new Map();
+    const regionSizes = [];
+
+    for (let y = bounds.minY; y <= bounds.maxY; y++) {
+      for (let x = bounds.minX; x <= bounds.maxX; x++) {
+        if (regionOf.has(`${x},${y}`) || !this.isTerrainAccessible(this.generateTerrainType(x, y, mapData.seed))) continue;
+
+        const region = regionSizes.length;
+        const stack = [[x, y]];
+        regionOf.set(`${x},${y}`, region);
+        let size = 0;
+
+        while (stack.length > 0) {
+          const [cx, cy] = stack.pop();
+          size++;
+
+          for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            const key = `${nx},${ny}`;
+            if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY || regionOf.has(key)) continue;
+            if (!this.isTerrainAccessible(this.generateTerrainType(nx, ny, mapData.seed))) continue;
+
+            regionOf.set(key, region);
+            stack.push([nx, ny]);
+          }
+        }
+
+        regionSizes.push(size);
+      }
+    }
+
+    return { regionOf, regionSizes };
+  }
+
+  /**
+   * Drop any landmark rivers have cut off from the spawn (roads normally reconnect them)
+   */
+  pruneUnreachableLandmarks(mapData) {
+    const { bounds } = mapData;
+    const start = `${mapData.spawn.world.x},${mapData.spawn.world.y}`;
+    const reached = new Set([start]);
+    const stack = [[mapData.spawn.world.x, mapData.spawn.world.y]];
+
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const key = `${nx},${ny}`;
+        if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY || reached.has(key)) continue;
+        if (!this.isTerrainAccessible(this.resolveTerrainType(mapData, nx, ny))) continue;
+
+        reached.add(key);
+        stack.push([nx, ny]);
+      }
+    }
+
+    for (const [key, landmark] of mapData.landmarks) {
+      if (!reached.has(key)) {
+        console.log(`Dropping unreachable landmark ${landmark.name} at (${key})`);
+        mapData.landmarks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Link the reachable portal landmarks into seeded networks
+   * A network is a loop: every portal's destination is the next portal in it
+   */
+  linkPortalNetworks(mapData) {
+    const random = createSeededRandom(mapData.seed ^ 0x50525441);
+    const portals = Array.from(mapData.landmarks.values()).filter(landmark => landmark.type === 'portal');
+
+    for (let i = portals.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [portals[i], portals[j]] = [portals[j], portals[i]];
+    }
+
+    const networks = [];
+    for (let start = 0; start < portals.length; start += this.PORTAL_RULES.networkSize) {
+      networks.push(portals.slice(start, start + this.PORTAL_RULES.networkSize));
+    }
+    // A lone portal would lead nowhere - fold it into the previous network
+    if (networks.length > 1 && networks[networks.length - 1].length === 1) {
+      networks[networks.length - 2].push(...networks.pop());
+    }
+
+    mapData.portalNetworks = [];
+    networks.forEach((members, networkId) => {
+      if (members.length < 2) return;
+
+      members.forEach((portal, index) => {
+        const destination = members[(index + 1) % members.length];
+        portal.portal = { networkId, destination: { x: destination.x, y: destination.y } };
+      });
+      mapData.portalNetworks.push({ networkId, portals: members.map(portal => ({ x: portal.x, y: portal.y })) });
+    });
+  }
+
+  /**
+   * The linked portal landmark at a world tile, or null
+   */
+  getPortal(matchId, worldX, worldY) {
+    const landmark = this.matches.get(matchId)?.map.landmarks.get(`${worldX},${worldY}`);
+    return landmark && landmark.portal ? landmark : null;
+  }
+
+  /**
+   * Where a jump into a portal room lands: a walkable cell next to the portal tile,
+   * so arriving players don't start channelling straight back
+   */
+  getPortalArrival(matchId, worldX, worldY) {
+    const roomData = this.getRoomData(matchId, worldX, worldY);
+    if (!roomData) return null;
+
+    const { x, y } = this.PORTAL_RULES.portalCell;
+    for (const [dx, dy] of [[0, 1], [1, 0], [-1, 0], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]) {
+      const cell = roomData.terrain[y + dy]?.[x + dx];
+      if (cell && cell !== 'wall' && cell !== 'water') {
+        return { world: { x: worldX, y: worldY }, room: { x: x + dx, y: y + dy } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Seeded, unique landmark name from the name tables
+   */
+  generateLandmarkName(type, random, usedNames) {
+    const templates = this.LANDMARK_NAMES[type] || ['{prefix} ' + type];
+    const prefixes = this.LANDMARK_NAMES.prefixes;
+    let name;
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const template = templates[Math.floor(random() * templates.length)];
+      const prefix = prefixes[Math.floor(random() * prefixes.length)];
+      name = template.replace('{prefix}', prefix);
+      if (!usedNames.has(name)) break;
+    }
+
+    usedNames.add(name);
+    return name;
+  }
+
+  /**
+   * Seeded zone schedule: each circle lies inside the previous one and is centred on an accessible tile.
+   * Times are offsets from the match start. Modes without a schedule of their own
+   * (e.g. RANKED_SOLO, CUSTOM) use the default mode's.
+   */
+  generateZonePhases(mapData, gameMode) {
+    const random = createSeededRandom(mapData.seed ^ 0x5a4f4e45);
+    const { bounds } = mapData;
+    const halfWidth = (bounds.maxX - bounds.minX) / 2;
+    const halfHeight = (bounds.maxY - bounds.minY) / 2;
+
+    const initial = {
+      center: { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 },
+      radius: Math.ceil(Math.hypot(halfWidth, halfHeight))
+    };
+
+    const phases = [];
+    let previous = initial;
+    let elapsed = 0;
+
+    const schedule = this.ZONE_PHASES[gameMode] || this.ZONE_PHASES[this.DEFAULT_GAME_MODE];
+    schedule.forEach((config, index) => {
+      const maxOffset = Math.max(0, previous.radius - config.radius);
+      let center = null;
+
+      for (let attempt = 0; attempt < 100 && !center; attempt++) {
+        const angle = random() * Math.PI * 2;
+        const distance = Math.sqrt(random()) * maxOffset;
+        const x = Math.round(previous.center.x + Math.cos(angle) * distance);
+        const y = Math.round(previous.center.y + Math.sin(angle) * distance);
+
+        // Keep the whole circle on the map so the endgame never hugs an edge
+        const insetX = Math.min(config.radius, halfWidth);
+        const insetY = Math.min(config.radius, halfHeight);
+        if (x < bounds.minX + insetX || x > bounds.maxX - insetX || y < bounds.minY + insetY || y > bounds.maxY - insetY) continue;
+        if (Math.hypot(x - previous.center.x, y - previous.center.y) > maxOffset) continue;
+        if (!this.isTerrainAccessible(this.resolveTerrainType(mapData, x, y))) continue;
+
+        center = { x, y };
+      }
+
+      elapsed += config.waitMs;
+      const phase = {
+        index: index + 1,
+        center: center || { ...previous.center },
+        radius: config.radius,
+        damagePerTick: config.damagePerTick,
+        shrinkStartsAt: elapsed,
+        shrinkEndsAt: elapsed + config.shrinkMs
+      };
+      elapsed += config.shrinkMs;
+
+      phases.push(phase);
+      previous = phase;
+    });
+
+    return { gameMode, initial, phases };
+  }
+
+  /**
+   * Zone at a point in time: the circle in force, the one it is heading to and the damage outside it.
+   * status is WAITING (next circle announced), SHRINKING or FINAL.
+   */
+  getZoneState(matchId, now = Date.now()) {
+    const match = this.matches.get(matchId);
+    if (!match?.zone) return null;
+
+    const { initial, phases } = match.zone;
+    const elapsed = now - match.startTime;
+    let previous = initial;
+    let damagePerTick = this.ZONE_RULES.initialDamagePerTick;
+
+    const circle = zone => ({ center: { ...zone.center }, radius: zone.radius });
+
+    for (const phase of phases) {
+      const shrinkStartsAt = match.startTime + phase.shrinkStartsAt;
+      const shrinkEndsAt = match.startTime + phase.shrinkEndsAt;
+
+      if (elapsed < phase.shrinkStartsAt) {
+        return { phase: phase.index, status: 'WAITING', current: circle(previous), next: circle(phase), shrinkStartsAt, shrinkEndsAt, damagePerTick };
+      }
+
+      if (elapsed < phase.shrinkEndsAt) {
+        const progress = (elapsed - phase.shrinkStartsAt) / (phase.shrinkEndsAt - phase.shrinkStartsAt);
+        const current = {
+          center: {
+            x: previous.center.x + (phase.center.x - previous.center.x) * progress,
+            y: previous.center.y + (phase.center.y - previous.center.y) * progress
+          },
+          radius: previous.radius + (phase.radius - previous.radius) * progress
+        };
+        return { phase: phase.index, status: 'SHRINKING', current, next: circle(phase), shrinkStartsAt, shrinkEndsAt, damagePerTick: phase.damagePerTick };
+      }
+
+      previous = phase;
+      damagePerTick = phase.damagePerTick;
+    }
+
+    return { phase: phases.length, status: 'FINAL', current: circle(previous), next: null, shrinkStartsAt: null, shrinkEndsAt: null, damagePerTick };
+  }
+
+  /**
+   * Whether a { world, room } position lies outside a zone circle (measured from tile centres, in room cells)
+   */
+  isOutsideZone(zoneCircle, position) {
+    const dx = (position.world.x + position.room.x / ROOM_SIZE) - (zoneCircle.center.x + 0.5);
+    const dy = (position.world.y + position.room.y / ROOM_SIZE) - (zoneCircle.center.y + 0.5);
+    return Math.hypot(dx, dy) > zoneCircle.radius;
+  }
+
+  /**
+   * Where players enter a match
+   */
+  getSpawnPosition(matchId) {
+    const match = this.matches.get(matchId);
+    const spawn = match?.map.spawn || { world: { x: 0, y: 0 }, room: { ...this.LANDMARK_RULES.spawnRoomCell } };
+    return { world: { ...spawn.world }, room: { ...spawn.room } };
+  }
+
+  /**
+   * Carve rivers from the highlands downhill until they reach the sea,
+   * another river or the map edge. River tiles are impassable apart from fords.
+   */
+  generateRivers(mapData) {
+    const gen = this.WORLD_GENERATION;
+    const random = createSeededRandom(mapData.seed ^ 0x52495645);
+    const { bounds } = mapData;
+    const riverCount = gen.riverCount.min + Math.floor(random() * (gen.riverCount.max - gen.riverCount.min + 1));
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    let riversCarved = 0;
+
+    for (let attempt = 0; attempt < riverCount * 20 && riversCarved < riverCount; attempt++) {
+      let x = bounds.minX + Math.floor(random() * (bounds.maxX - bounds.minX + 1));
+      let y = bounds.minY + Math.floor(random() * (bounds.maxY - bounds.minY + 1));
+      const sourceElevation = this.sampleClimate(x, y, mapData.seed).elevation;
+
+      if (sourceElevation < gen.riverSourceElevation.min || sourceElevation > gen.riverSourceElevation.max) continue;
+      if (mapData.features.has(`${x},${y}`) || mapData.landmarks.has(`${x},${y}`)) continue;
+
+      const visited = new Set();
+      let length = 0;
+
+      while (length < gen.riverMaxLength) {
+        const key = `${x},${y}`;
+        visited.add(key);
+
+        if (!mapData.landmarks.has(key)) {
+          const isFord = length > 0 && length % gen.fordInterval === 0;
+          mapData.features.set(key, isFord ? 'water' : 'deep_water');
+        }
+        length++;
+
+        // Flow to the lowest unvisited neighbour, even uphill, so rivers never pool
+        let next = null;
+        let lowest = Infinity;
+        for (const [dx, dy] of directions) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY) continue;
+          if (visited.has(`${nx},${ny}`)) continue;
+
+          const elevation = this.sampleClimate(nx, ny, mapData.seed).elevation;
+          if (elevation < lowest) {
+            lowest = elevation;
+            next = { x: nx, y: ny };
+          }
+        }
+
+        if (!next) break;
+
+        const nextKey = `${next.x},${next.y}`;
+        if (lowest < gen.shallowLevel || mapData.features.has(nextKey)) break; // reached the sea or joined a river
+
+        x = next.x;
+        y = next.y;
+      }
+
+      riversCarved++;
+    }
+  }
+
+  /**
+   * Join every landmark with roads along a minimum spanning tree.
+   * Roads crossing water become bridges; roads through blocked terrain become passes.
+   */
+  generateRoadNetwork(mapData) {
+    const landmarks = Array.from(mapData.landmarks.values());
+    if (landmarks.length < 2) return;
+
+    // Prim's algorithm on straight-line distance
+    const connected = [landmarks[0]];
+    const remaining = landmarks.slice(1);
+
+    while (remaining.length > 0) {
+      let best = null;
+      for (const from of connected) {
+        remaining.forEach((to, index) => {
+          const distance = Math.hypot(to.x - from.x, to.y - from.y);
+          if (!best || distance < best.distance) {
+            best = { from, to, index, distance };
+          }
+        });
+      }
+
+      const path = this.findRoadPath(mapData, best.from, best.to);
+      for (const tile of path) {
+        const key = `${tile.x},${tile.y}`;
+        if (mapData.landmarks.has(key)) continue;
+
+        const terrain = this.resolveTerrainType(mapData, tile.x, tile.y);
+        mapData.features.set(key, terrain === 'water' || terrain === 'deep_water' || terrain === 'bridge' ? 'bridge' : 'road');
+      }
+
+      connected.push(best.to);
+      remaining.splice(best.index, 1);
+    }
+  }
+
+  /**
+   * Cheapest 4-way tile path for a road (A* over ROAD_COSTS)
+   */
+  findRoadPath(mapData, start, goal) {
+    const { bounds } = mapData;
+    const width = bounds.maxX - bounds.minX + 1;
+    const indexOf = (x, y) => (y - bounds.minY) * width + (x - bounds.minX);
+    const heuristic = (x, y) => (Math.abs(goal.x - x) + Math.abs(goal.y - y)) * this.ROAD_COSTS.road;
+
+    const costs = new Map([[indexOf(start.x, start.y), 0]]);
+    const cameFrom = new Map();
+    const open = [{ x: start.x, y: start.y, priority: heuristic(start.x, start.y) }];
+
+    // Binary heap keyed on priority
+    const push = (node) => {
+      open.push(node);
+      let i = open.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (open[parent].priority <= open[i].priority) break;
+        [open[parent], open[i]] = [open[i], open[parent]];
+        i = parent;
+      }
+    };
+    const pop = () => {
+      const top = open[0];
+      const last = open.pop();
+      if (open.length > 0) {
+        open[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < open.length && open[left].priority < open[smallest].priority) smallest = left;
+          if (right < open.length && open[right].priority < open[smallest].priority) smallest = right;
+          if (smallest === i) break;
+          [open[smallest], open[i]] = [open[i], open[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    while (open.length > 0) {
+      const current = pop();
+      const currentIndex = indexOf(current.x, current.y);
+
+      if (current.x === goal.x && current.y === goal.y) {
+        const path = [{ x: current.x, y: current.y }];
+        let index = currentIndex;
+        while (cameFrom.has(index)) {
+          const previous = cameFrom.get(index);
+          path.unshift(previous);
+          index = indexOf(previous.x, previous.y);
+        }
+        return path;
+      }
+
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = current.x + dx;
+        const ny = current.y + dy;
+        if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY) continue;
+
+        const neighbourIndex = indexOf(nx, ny);
+        const cost = costs.get(currentIndex) + this.getRoadCost(mapData, nx, ny);
+        if (cost < (costs.get(neighbourIndex) ?? Infinity)) {
+          costs.set(neighbourIndex, cost);
+          cameFrom.set(neighbourIndex, { x: current.x, y: current.y });
+          push({ x: nx, y: ny, priority: cost + heuristic(nx, ny) });
+        }
+      }
+    }
+
+    return [];
+  }
+
+  getRoadCost(mapData, x, y) {
+    const key = `${x},${y}`;
+    const feature = mapData.features.get(key);
+
+    if (feature === 'road' || feature === 'bridge') return this.ROAD_COSTS.road;
+    if (feature === 'deep_water' || feature === 'water') return this.ROAD_COSTS.river;
+    if (mapData.landmarks.has(key)) return this.ROAD_COSTS.default;
+
+    const terrain = this.generateTerrainType(x, y, mapData.seed);
+    if (this.ROAD_COSTS[terrain] !== undefined) return this.ROAD_COSTS[terrain];
+    return this.isTerrainAccessible(terrain) ? this.ROAD_COSTS.default : this.ROAD_COSTS.blocked;
   }
 
   /**
@@ -156,39 +938,59 @@ class MatchManager {
       return match.map.terrainCache.get(key);
     }
 
-    // Check for landmarks
-    if (match.map.landmarks.has(key)) {
-      const landmark = match.map.landmarks.get(key);
-      match.map.terrainCache.set(key, landmark.type);
-      return landmark.type;
-    }
-
-    // Generate terrain using match seed
-    // Use simple deterministic generation
-    const terrain = this.generateTerrainType(worldX, worldY, match.map.seed);
+    const terrain = this.resolveTerrainType(match.map, worldX, worldY);
     match.map.terrainCache.set(key, terrain);
 
     return terrain;
   }
 
   /**
-   * Simple deterministic terrain generation
+   * Terrain at a tile: landmarks, then rivers/roads, then the biome
    */
-  generateTerrainType(x, y, seed) {
-    // Simple hash-based generation for consistency
-    const hash = this.hashCoords(x, y, seed);
-    const value = (hash % 1000) / 1000; // Normalize to 0-1
+  resolveTerrainType(mapData, worldX, worldY) {
+    const key = `${worldX},${worldY}`;
+
+    if (mapData.landmarks.has(key)) {
+      return mapData.landmarks.get(key).type;
+    }
+
+    if (mapData.features.has(key)) {
+      return mapData.features.get(key);
+    }
+
+    return this.generateTerrainType(worldX, worldY, mapData.seed);
+  }
 
-    // Road system
-    if (y === 0 && Math.abs(x) <= 5) return 'road';
+  /**
+   * Seeded elevation and moisture for a tile, both in [0, 1]
+   */
+  sampleClimate(x, y, seed) {
+    const gen = this.WORLD_GENERATION;
+    const stretch = value => Math.min(1, Math.max(0, (value - 0.5) * gen.contrast + 0.5));
+
+    return {
+      elevation: stretch(fractalNoise2D(x, y, seed, gen.elevation)),
+      moisture: stretch(fractalNoise2D(x, y, seed + 7919, gen.moisture))
+    };
+  }
 
-    // Terrain based on noise-like value
-    if (value > 0.8) return 'mountain';
-    if (value > 0.6) return 'forest';
-    if (value > 0.4) return 'hills';
-    if (value > 0.2) return 'grass';
-    if (value > 0.1) return 'water';
-    return 'deep_water';
+  /**
+   * Deterministic biome from elevation and moisture
+   */
+  generateTerrainType(x, y, seed) {
+    const gen = this.WORLD_GENERATION;
+    const { elevation, moisture } = this.sampleClimate(x, y, seed);
+
+    if (elevation < gen.seaLevel) return 'deep_water';
+    if (elevation < gen.shallowLevel) return 'water';
+    if (elevation < gen.beachLevel) return moisture > 0.6 ? 'swamp' : 'beach';
+    if (elevation > gen.mountainLevel) return 'mountain';
+    if (elevation > gen.cliffLevel) return moisture < 0.35 ? 'cliff' : 'mountain';
+    if (elevation > gen.hillLevel) return 'hills';
+    if (moisture > 0.72) return elevation < 0.45 ? 'swamp' : 'dense_forest';
+    if (moisture > 0.56) return 'forest';
+    if (moisture < 0.28) return 'desert';
+    return 'grass';
   }
 
   /**
@@ -259,25 +1061,88 @@ class MatchManager {
       terrainType,
       roomType: accessInfo.roomType,
       seed: roomSeed,
-      size: { x: 20, y: 20 },
+      size: { x: ROOM_SIZE, y: ROOM_SIZE },
       terrain: this.generateRoomTerrain(accessInfo.roomType, roomSeed),
       entities: this.generateRoomEntities(accessInfo.roomType, roomSeed),
+      looted: new Set(), // "x,y" cells whose CHEST/ITEM has already dropped its loot
       discovered: false,
       exploredBy: new Set(),
       description: accessInfo.description
     };
 
+    roomData.exits = this.carveRoomExits(matchId, worldX, worldY, roomData.terrain);
+
     match.rooms.set(key, roomData);
     console.log(`Generated ${accessInfo.roomType} room for match ${matchId} at (${worldX},${worldY}) - ${terrainType}`);
 
     return roomData;
   }
 
+  /**
+   * Open the border wall towards every accessible neighbour (inside the map bounds)
+   * The cell just inside each exit is cleared so the doorway can be reached
+   * Returns { direction: [cell, ...] }
+   */
+  carveRoomExits(matchId, worldX, worldY, terrain) {
+    const { bounds } = this.matches.get(matchId).map;
+    const last = ROOM_SIZE - 1;
+    const exits = {};
+
+    for (const [direction, { dx, dy }] of Object.entries(this.ROOM_EXITS.directions)) {
+      const nx = worldX + dx;
+      const ny = worldY + dy;
+      if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY) continue;
+      if (!this.canMoveToPosition(matchId, nx, ny)) continue;
+
+      exits[direction] = this.ROOM_EXITS.cells.map(offset => {
+        const cell = dx !== 0 ? { x: dx > 0 ? last : 0, y: offset } : { x: offset, y: dy > 0 ? last : 0 };
+        terrain[cell.y][cell.x] = 'exit';
+
+        const inner = terrain[cell.y - dy][cell.x - dx];
+        if (inner === 'wall' || inner === 'water') {
+          terrain[cell.y - dy][cell.x - dx] = 'floor';
+        }
+        return cell;
+      });
+    }
+
+    return exits;
+  }
+
+  /**
+   * Which way a room cell leads out of the room, or null
+   */
+  getRoomExit(roomData, cell) {
+    for (const [direction, cells] of Object.entries(roomData.exits || {})) {
+      if (cells.some(exit => exit.x === cell.x && exit.y === cell.y)) return direction;
+    }
+    return null;
+  }
+
+  /**
+   * Where leaving a room through an exit cell lands: the matching exit cell on the
+   * opposite edge of the neighbouring room. Generates the neighbour if needed.
+   */
+  getTransitionTarget(matchId, worldX, worldY, direction, cell) {
+    const { dx, dy } = this.ROOM_EXITS.directions[direction];
+    const neighbour = this.getRoomData(matchId, worldX + dx, worldY + dy);
+    if (!neighbour) return null;
+
+    const last = ROOM_SIZE - 1;
+    return {
+      world: { x: worldX + dx, y: worldY + dy },
+      room: {
+        x: dx > 0 ? 0 : dx < 0 ? last : cell.x,
+        y: dy > 0 ? 0 : dy < 0 ? last : cell.y
+      }
+    };
+  }
+
   /**
    * Generate room terrain layout based on room type
    */
   generateRoomTerrain(roomType, seed) {
-    const size = 20;
+    const size = ROOM_SIZE;
     const terrain = [];
 
     for (let y = 0; y < size; y++) {
@@ -383,7 +1248,7 @@ class MatchManager {
 
           case 'portal':
             // Magical portal site
-            if (x === 10 && y === 10) row.push('portal'); // Central portal
+            if (x === this.PORTAL_RULES.portalCell.x && y === this.PORTAL_RULES.portalCell.y) row.push('portal'); // Central portal
             else if (value > 0.9) row.push('wall'); // Mystical barriers
             else row.push('floor');
             break;
@@ -412,7 +1277,7 @@ class MatchManager {
    * Generate room entities based on room type
    */
   generateRoomEntities(roomType, seed) {
-    const size = 20;
+    const size = ROOM_SIZE;
     const entities = [];
 
     for (let y = 0; y < size; y++) {
@@ -451,7 +1316,7 @@ class MatchManager {
           // Natural dangers and treasures
           if (value > 0.97) entity = 'ENEMY';
           else if (value > 0.94) entity = 'CHEST';
-          else if (value > 0.98) entity = 'TRAP';
+          else if (value > 0.92) entity = 'TRAP';
           break;
 
         case 'forest':
@@ -471,8 +1336,8 @@ class MatchManager {
         case 'swamp':
           // Dangerous environment
           if (value > 0.95) entity = 'ENEMY'; // Swamp creatures
-          else if (value > 0.97) entity = 'TRAP'; // Natural hazards
           else if (value > 0.93) entity = 'ITEM'; // Rare plants
+          else if (value > 0.91) entity = 'TRAP'; // Natural hazards
           break;
 
         case 'desert':
@@ -485,7 +1350,7 @@ class MatchManager {
         case 'ruins':
           // Ancient secrets
           if (value > 0.94) entity = 'CHEST'; // Ancient treasure
-          else if (value > 0.97) entity = 'TRAP'; // Ancient traps
+          else if (value > 0.91) entity = 'TRAP'; // Ancient traps
           else if (value > 0.98) entity = 'ENEMY'; // Guardians
           break;
 
@@ -549,39 +1414,138 @@ class MatchManager {
     return entities;
   }
 
+  /**
+   * Danger level (1..maxDanger) of the area around a world tile
+   */
+  getAreaDanger(matchId, worldX, worldY) {
+    const match = this.matches.get(matchId);
+    if (!match) return 1;
+
+    const rules = this.DANGER_RULES;
+    const roomType = this.getTerrainAccessInfo(this.getTerrainType(matchId, worldX, worldY)).roomType;
+    const spawn = match.map.spawn?.world || { x: 0, y: 0 };
+    const distance = Math.hypot(worldX - spawn.x, worldY - spawn.y);
+
+    const danger = (rules.roomDanger[roomType] || 0) + 1 + Math.floor(distance / rules.tilesPerLevel);
+    return Math.min(rules.maxDanger, danger);
+  }
+
+  /**
+   * Claim the loot of a CHEST or ITEM entity so it only drops once per match
+   * Returns { roomType, seed } for the loot roll, or null if there is nothing to claim
+   */
+  claimRoomLoot(matchId, worldX, worldY, cell, entityType) {
+    const roomData = this.getRoomData(matchId, worldX, worldY);
+    if (!roomData || roomData.entities[cell.y]?.[cell.x] !== entityType) return null;
+
+    const cellKey = `${cell.x},${cell.y}`;
+    if (roomData.looted.has(cellKey)) return null;
+    roomData.looted.add(cellKey);
+
+    return {
+      roomType: roomData.roomType,
+      seed: this.hashCoords(cell.x + 200, cell.y + 200, roomData.seed) // offset from the entity layout hash
+    };
+  }
+
   /**
    * Start a match
    */
   startMatch(matchId) {
     const match = this.matches.get(matchId);
-    if (!match) return false;
+    if (!match || match.status !== 'STARTING') return false;
 
+    clearTimeout(match.connectTimer);
+    match.connectTimer = null;
     match.status = 'ACTIVE';
     match.startTime = Date.now();
     match.endTime = match.startTime + this.MATCH_DURATION;
 
     console.log(`Match ${matchId} started with ${match.players.size} players`);
 
-    // Schedule match end
-    setTimeout(() => {
+    // Schedule match end (cleared if the last team standing ends it first)
+    match.endTimer = setTimeout(() => {
       this.endMatch(matchId, 'TIME_LIMIT');
     }, this.MATCH_DURATION);
 
     return true;
   }
 
+  /**
+   * Note a player joining the game server
+   * Returns true once everyone on the roster has connected
+   */
+  markConnected(matchId, playerId) {
+    const match = this.matches.get(matchId);
+    if (!match) return false;
+
+    match.connected.add(playerId);
+    return [...match.players.keys()].every(id => match.connected.has(id));
+  }
+
+  /**
+   * Eliminate rostered players who never connected
+   * Teams wiped out this way share the place below every team still standing; the match
+   * ends if one team is left, or is abandoned if nobody showed up.
+   * Returns the eliminated player states
+   */
+  eliminateNoShows(matchId) {
+    const match = this.matches.get(matchId);
+    if (!match || match.status !== 'ACTIVE') return [];
+
+    const now = Date.now();
+    const noShows = [...match.players.values()]
+      .filter(playerState => playerState.status === 'ALIVE' && !match.connected.has(playerState.playerId));
+    if (noShows.length === 0) return [];
+
+    for (const playerState of noShows) {
+      playerState.status = 'DEAD';
+      playerState.deathTime = now;
+    }
+
+    const aliveTeams = this.getAliveTeams(match);
+    for (const playerState of match.players.values()) {
+      if (playerState.placement === null && !aliveTeams.has(this.getTeamKey(playerState))) {
+        playerState.placement = aliveTeams.size + 1;
+      }
+    }
+
+    console.log(`Match ${matchId}: ${noShows.length} players eliminated for not connecting`);
+
+    const totalTeams = new Set([...match.players.values()].map(p => this.getTeamKey(p))).size;
+    if (aliveTeams.size === 0) {
+      this.endMatch(matchId, 'ABANDONED');
+    } else if (totalTeams > 1 && aliveTeams.size <= 1) {
+      this.endMatch(matchId, 'LAST_STANDING');
+    }
+
+    return noShows;
+  }
+
   /**
    * End a match and calculate stats
    */
   endMatch(matchId, reason = 'COMPLETED') {
     const match = this.matches.get(matchId);
     if (!match) return null;
+    if (match.status === 'ENDED') return match.result;
 
+    clearTimeout(match.endTimer);
+    clearTimeout(match.connectTimer);
+    match.endTimer = null;
+    match.connectTimer = null;
     match.status = 'ENDED';
     match.endTime = Date.now();
 
+    this.assignSurvivorPlacements(match);
+
     // Calculate final stats
     const finalStats = this.calculateMatchStats(match);
+    const winners = [...match.players.values()].filter(p => p.placement === 1);
+    match.winner = winners.length > 0 ? {
+      teamId: winners[0].teamId,
+      playerIds: winners.map(p => p.playerId)
+    } : null;
 
     console.log(`Match ${matchId} ended (${reason}) - Duration: ${match.endTime - match.startTime}ms`);
 
@@ -591,12 +1555,134 @@ class MatchManager {
       console.log(`Match ${matchId} cleaned up`);
     }, 30000); // 30 second cleanup delay
 
-    return {
+    match.result = {
       matchId,
       reason,
       duration: match.endTime - match.startTime,
+      winner: match.winner,
+      placements: this.getPlacements(matchId),
       stats: finalStats
     };
+
+    if (match.persistResults) {
+      match.result.saved = false;
+      saveMatchResults(match, match.result).then(matchRowId => {
+        match.result.saved = matchRowId !== null;
+      });
+    }
+
+    return match.result;
+  }
+
+  /**
+   * Team a player competes for; solo players are a team of one
+   */
+  getTeamKey(playerState) {
+    return playerState.teamId || playerState.playerId;
+  }
+
+  /**
+   * Teams with at least one living member
+   */
+  getAliveTeams(match) {
+    const teams = new Set();
+    for (const playerState of match.players.values()) {
+      if (playerState.status === 'ALIVE') {
+        teams.add(this.getTeamKey(playerState));
+      }
+    }
+    return teams;
+  }
+
+  /**
+   * Place a dead player's team once its last member falls, and end the match
+   * when a single team is left standing
+   */
+  recordElimination(match, victim, killerId, timestamp) {
+    const teamKey = this.getTeamKey(victim);
+    const aliveTeams = this.getAliveTeams(match);
+
+    victim.eliminatedBy = killerId;
+
+    // Teammates still up - the team's placement is decided when they fall
+    if (aliveTeams.has(teamKey)) return;
+
+    const placement = aliveTeams.size + 1;
+    for (const playerState of match.players.values()) {
+      if (this.getTeamKey(playerState) === teamKey && playerState.placement === null) {
+        playerState.placement = placement;
+      }
+    }
+
+    console.log(`Team ${teamKey} eliminated in match ${match.matchId} - placement #${placement} at ${timestamp}`);
+
+    const totalTeams = new Set([...match.players.values()].map(p => this.getTeamKey(p))).size;
+    if (match.status === 'ACTIVE' && totalTeams > 1 && aliveTeams.size <= 1) {
+      this.endMatch(match.matchId, 'LAST_STANDING');
+    }
+  }
+
+  /**
+   * Teams still alive when the match ends share the top placements, best
+   * team (kills, then damage dealt) first
+   */
+  assignSurvivorPlacements(match) {
+    const teams = new Map(); // teamKey -> { kills, damageDealt, members }
+    for (const playerState of match.players.values()) {
+      if (playerState.placement !== null) continue;
+
+      const teamKey = this.getTeamKey(playerState);
+      if (!teams.has(teamKey)) {
+        teams.set(teamKey, { kills: 0, damageDealt: 0, members: [] });
+      }
+      const team = teams.get(teamKey);
+      team.kills += playerState.kills;
+      team.damageDealt += playerState.damageDealt || 0;
+      team.members.push(playerState);
+    }
+
+    const ranked = [...teams.values()].sort((a, b) => {
+      if (b.kills !== a.kills) return b.kills - a.kills;
+      return b.damageDealt - a.damageDealt;
+    });
+
+    ranked.forEach((team, index) => {
+      for (const playerState of team.members) {
+        playerState.placement = index + 1;
+      }
+    });
+  }
+
+  /**
+   * Placements so far, best first; players still in the running have placement null
+   */
+  getPlacements(matchId) {
+    const match = this.matches.get(matchId);
+    if (!match) return null;
+
+    return [...match.players.values()]
+      .map(playerState => ({
+        playerId: playerState.playerId,
+        username: playerState.username,
+        teamId: playerState.teamId,
+        placement: playerState.placement,
+        kills: playerState.kills,
+        status: playerState.status,
+        deathTime: playerState.deathTime,
+        eliminatedBy: playerState.eliminatedBy
+      }))
+      .sort((a, b) => this.comparePlacement(a, b));
+  }
+
+  /**
+   * Placement first (unplaced players are still alive and rank above everyone
+   * placed), kills break ties
+   */
+  comparePlacement(a, b) {
+    const placementA = a.placement ?? 0;
+    const placementB = b.placement ?? 0;
+    if (placementA !== placementB) return placementA - placementB;
+    return b.kills - a.kills;
   }
 
   /**
@@ -612,6 +1698,7 @@ class MatchManager {
       winner: null,
       playerStats: [],
       playerRankings: {
+        byPlacement: [],
         byKills: [],
         byExploration: [],
         byItems: [],
@@ -621,6 +1708,7 @@ class MatchManager {
       matchStats: {
         totalKills: 0,
         totalDeaths: 0,
+        totalMonsterKills: 0,
         totalItemsCollected: 0,
         totalRoomsExplored: new Set(),
         averageRoomsPerPlayer: 0,
@@ -659,11 +1747,15 @@ class MatchManager {
       const playerStats = {
         playerId,
         username: playerState.username,
+        teamId: playerState.teamId,
+        placement: playerState.placement,
         // Combat stats
         kills: playerState.kills,
         deaths: playerState.deaths,
         damageDealt: playerState.damageDealt || 0,
         damageTaken: playerState.damageTaken || 0,
+        monsterKills: playerState.monsterKills || 0,
+        pveDeaths: playerState.pveDeaths || 0,
         kdr: playerState.deaths > 0 ? (playerState.kills / playerState.deaths).toFixed(2) : playerState.kills,
         // Exploration stats
         itemsCollected: playerState.itemsCollected,
@@ -692,9 +1784,8 @@ class MatchManager {
 
       stats.playerStats.push(playerStats);
 
-      // Track maximums for awards
-      if (playerState.kills > maxKills || (playerState.kills === maxKills && playerState.status === 'ALIVE')) {
-        maxKills = playerState.kills;
+      // The winner is the first-placed player with the most kills
+      if (playerState.placement === 1 && (!stats.winner || playerState.kills > stats.winner.kills)) {
         stats.winner = playerStats;
       }
 
@@ -705,6 +1796,7 @@ class MatchManager {
       // Update match totals
       stats.matchStats.totalKills += playerState.kills;
       stats.matchStats.totalDeaths += playerState.deaths;
+      stats.matchStats.totalMonsterKills += playerState.monsterKills || 0;
       stats.matchStats.totalItemsCollected += playerState.itemsCollected;
 
       // Add explored rooms to total set
@@ -744,6 +1836,7 @@ class MatchManager {
     stats.timestamps.firstKill = firstKillTime;
 
     // Create rankings
+    stats.playerRankings.byPlacement = [...stats.playerStats].sort((a, b) => this.comparePlacement(a, b));
     stats.playerRankings.byKills = [...stats.playerStats].sort((a, b) => {
       if (b.kills !== a.kills) return b.kills - a.kills;
       if (a.deaths !== b.deaths) return a.deaths - b.deaths;
@@ -863,33 +1956,77 @@ class MatchManager {
 
   /**
    * Record player kill
+   * killerId may be null for environmental deaths (poison, hazards)
    */
   recordPlayerKill(matchId, killerId, victimId) {
     const match = this.matches.get(matchId);
     if (!match) return false;
 
-    const killer = match.players.get(killerId);
+    const killer = killerId ? match.players.get(killerId) : null;
     const victim = match.players.get(victimId);
 
-    if (!killer || !victim) return false;
+    if (!victim) return false;
 
     const currentTime = Date.now();
+    const wasAlive = victim.status === 'ALIVE';
 
-    killer.kills++;
     victim.deaths++;
     victim.status = 'DEAD';
     victim.deathTime = currentTime;
+    match.stats.deaths.set(victimId, (match.stats.deaths.get(victimId) || 0) + 1);
+
+    if (killer) {
+      killer.kills++;
 
-    // Track first kill time
-    if (killer.kills === 1) {
-      killer.firstKillTime = currentTime;
+      // Track first kill time
+      if (killer.kills === 1) {
+        killer.firstKillTime = currentTime;
+      }
+
+      match.stats.kills.set(killerId, (match.stats.kills.get(killerId) || 0) + 1);
     }
 
-    // Update match stats
-    match.stats.kills.set(killerId, (match.stats.kills.get(killerId) || 0) + 1);
-    match.stats.deaths.set(victimId, (match.stats.deaths.get(victimId) || 0) + 1);
+    console.log(killer ?
+      `Player ${killerId} killed player ${victimId} in match ${matchId} at ${currentTime}` :
+      `Player ${victimId} died in match ${matchId} at ${currentTime}`);
+
+    if (wasAlive && match.status === 'ACTIVE') {
+      this.recordElimination(match, victim, killerId, currentTime);
+    }
+    return true;
+  }
+
+  /**
+   * Record a player killing a monster (PvE counterpart of recordPlayerKill)
+   */
+  recordMonsterKill(matchId, playerId, monsterType) {
+    const match = this.matches.get(matchId);
+    if (!match) return false;
+
+    const player = match.players.get(playerId);
+    if (!player) return false;
+
+    player.monsterKills = (player.monsterKills || 0) + 1;
+    player.lastActivity = Date.now();
 
-    console.log(`Player ${killerId} killed player ${victimId} in match ${matchId} at ${currentTime}`);
+    const playerKills = match.stats.monsterKills.get(playerId) || {};
+    playerKills[monsterType] = (playerKills[monsterType] || 0) + 1;
+    match.stats.monsterKills.set(playerId, playerKills);
+
+    console.log(`Player ${playerId} killed a ${monsterType} in match ${matchId}`);
+    return true;
+  }
+
+  /**
+   * Record a player dying to a monster; the elimination itself goes through recordPlayerKill
+   */
+  recordPveDeath(matchId, playerId, enemyId) {
+    const player = this.matches.get(matchId)?.players.get(playerId);
+    if (!player) return false;
+
+    player.pveDeaths = (player.pveDeaths || 0) + 1;
+
+    console.log(`Player ${playerId} was killed by ${enemyId} in match ${matchId}`);
     return true;
   }
 
@@ -1064,7 +2201,7 @@ class MatchManager {
   /**
    * Get match leaderboard with various sorting options
    */
-  getMatchLeaderboard(matchId, sortBy = 'overall') {
+  getMatchLeaderboard(matchId, sortBy = 'placement') {
     const match = this.matches.get(matchId);
     if (!match) return null;
 
@@ -1095,9 +2232,12 @@ class MatchManager {
       leaderboard.rankings = stats.playerRankings.bySurvival;
       break;
     case 'overall':
-    default:
       leaderboard.rankings = [...stats.playerStats].sort((a, b) => parseFloat(b.overallScore) - parseFloat(a.overallScore));
       break;
+    case 'placement':
+    default:
+      leaderboard.rankings = stats.playerRankings.byPlacement;
+      break;
     }
 
     // Add rank positions
@@ -1120,7 +2260,7 @@ class MatchManager {
       { playerId: 'test4', username: 'TestPlayer4' }
     ];
 
-    const match = this.createMatch(testPlayers);
+    const match = this.createMatch(testPlayers, { persistResults: false });
     this.startMatch(match.matchId);
 
     // Simulate some game events
@@ -0,0 +1,206 @@
+const { ROOM_SIZE } = require('./utils/position');
+const { createSeededRandom } = require('./utils/noise');
+
+/**
+ * NpcManager - the NPC markers in settlements, temples and towers
+ * An NPC's role comes from its room type. Stock and prices live here on the server;
+ * clients only ever see the offer list and ask for a transaction.
+ */
+class NpcManager {
+  constructor() {
+    this.npcsByMatch = new Map(); // matchId -> Map<npcId, Npc>
+
+    // markup scales an item's base value into the NPC's asking price
+    // stock quantities are [min, max] rolled once per NPC per match
+    this.NPC_ROLES = {
+      merchant: {
+        role: 'merchant',
+        name: 'Merchant',
+        markup: 1.0,
+        buysItems: true,
+        services: [],
+        stock: [
+          { item: 'health_potion', quantity: [3, 6] },
+          { item: 'mana_potion', quantity: [2, 5] },
+          { item: 'swiftness_elixir', quantity: [0, 2] },
+          { item: 'leather_armor', quantity: [1, 2] },
+          { item: 'iron_sword', quantity: [1, 1] },
+          { item: 'steel_dagger', quantity: [0, 1] },
+          { item: 'iron_ore', quantity: [4, 10] }
+        ]
+      },
+      priest: {
+        role: 'priest',
+        name: 'Priest',
+        markup: 1.2,
+        buysItems: false,
+        services: ['HEAL'],
+        stock: [
+          { item: 'health_potion', quantity: [2, 4] },
+          { item: 'regeneration_potion', quantity: [1, 3] }
+        ]
+      },
+      wizard: {
+        role: 'wizard',
+        name: 'Wizard',
+        markup: 1.25,
+        buysItems: false,
+        services: ['IDENTIFY', 'ENCHANT'],
+        stock: [
+          { item: 'mana_potion', quantity: [2, 4] },
+          { item: 'swiftness_elixir', quantity: [1, 2] },
+          { item: 'magic_crystal', quantity: [0, 2] }
+        ]
+      }
+    };
+
+    // Room types without an entry have no one to talk to
+    this.ROOM_ROLES = {
+      town: 'merchant',
+      city: 'merchant',
+      village: 'merchant',
+      camp: 'merchant',
+      road: 'merchant',
+      bridge: 'merchant',
+      temple: 'priest',
+      tower: 'wizard'
+    };
+
+    this.NPC_RULES = {
+      interactRange: 2, // room cells
+      startingGold: 50,
+      sellRate: 0.4, // fraction of base value merchants pay for an item
+      healCostPerPoint: 0.5, // gold per missing health point
+      cleanseCost: 10, // gold per debuff removed
+      minServiceCost: 5,
+      identifyCost: { common: 10, uncommon: 20, rare: 40 },
+      enchantCostPerLevel: 25 // the next level costs this times the level
+    };
+
+    console.log('NpcManager initialized');
+  }
+
+  /**
+   * The NPC on a room cell, or null if there is none (or its room type has no role)
+   * Stock is rolled from the room seed the first time anyone asks
+   */
+  getNpc(matchId, roomData, cell) {
+    if (roomData.entities[cell.y]?.[cell.x] !== 'NPC') return null;
+
+    const roleId = this.ROOM_ROLES[roomData.roomType];
+    if (!roleId) return null;
+
+    if (!this.npcsByMatch.has(matchId)) {
+      this.npcsByMatch.set(matchId, new Map());
+    }
+    const npcs = this.npcsByMatch.get(matchId);
+    const npcId = `npc:${roomData.worldPos.x},${roomData.worldPos.y}:${cell.x},${cell.y}`;
+
+    if (!npcs.has(npcId)) {
+      const role = this.NPC_ROLES[roleId];
+      // Offset by the cell so two NPCs in one room don't carry identical stock
+      const random = createSeededRandom(roomData.seed + 2 + cell.y * ROOM_SIZE + cell.x);
+      const stock = new Map();
+
+      for (const entry of role.stock) {
+        const [min, max] = entry.quantity;
+        const quantity = min + Math.floor(random() * (max - min + 1));
+        if (quantity > 0) {
+          stock.set(entry.item, quantity);
+        }
+      }
+
+      npcs.set(npcId, {
+        npcId,
+        matchId,
+        role: roleId,
+        roomType: roomData.roomType,
+        position: { world: { ...roomData.worldPos }, room: { x: cell.x, y: cell.y } },
+        stock
+      });
+    }
+
+    return npcs.get(npcId);
+  }
+
+  getRole(npc) {
+    return this.NPC_ROLES[npc.role];
+  }
+
+  offersService(npc, service) {
+    return this.getRole(npc).services.includes(service);
+  }
+
+  getBuyPrice(npc, template) {
+    return Math.ceil(template.value * this.getRole(npc).markup);
+  }
+
+  getSellPrice(item) {
+    return Math.floor((item.value || 0) * this.NPC_RULES.sellRate);
+  }
+
+  /**
+   * Priest fee for topping a player up to full health and lifting their debuffs
+   */
+  getHealCost(missingHealth, debuffCount) {
+    if (missingHealth <= 0 && debuffCount === 0) return 0;
+
+    const cost = Math.ceil(missingHealth * this.NPC_RULES.healCostPerPoint) + debuffCount * this.NPC_RULES.cleanseCost;
+    return Math.max(this.NPC_RULES.minServiceCost, cost);
+  }
+
+  getIdentifyCost(item) {
+    return this.NPC_RULES.identifyCost[item.rarity] || this.NPC_RULES.minServiceCost;
+  }
+
+  getEnchantCost(item) {
+    return this.NPC_RULES.enchantCostPerLevel * ((item.enchantment || 0) + 1);
+  }
+
+  /**
+   * Sell from stock; the caller has already checked price and inventory space
+   */
+  takeStock(npc, templateId, quantity) {
+    const remaining = (npc.stock.get(templateId) || 0) - quantity;
+    if (remaining > 0) {
+      npc.stock.set(templateId, remaining);
+    } else {
+      npc.stock.delete(templateId);
+    }
+  }
+
+  /**
+   * Client-facing NPC with its current offers
+   */
+  describeNpc(npc, itemDatabase) {
+    const role = this.getRole(npc);
+    return {
+      npcId: npc.npcId,
+      role: npc.role,
+      name: role.name,
+      position: {
+        world: { ...npc.position.world },
+        room: { ...npc.position.room }
+      },
+      buysItems: role.buysItems,
+      services: [...role.services],
+      stock: [...npc.stock].map(([templateId, quantity]) => ({
+        templateId,
+        name: itemDatabase[templateId].name,
+        rarity: itemDatabase[templateId].rarity,
+        price: this.getBuyPrice(npc, itemDatabase[templateId]),
+        quantity
+      }))
+    };
+  }
+
+  removeMatch(matchId) {
+    this.npcsByMatch.delete(matchId);
+  }
+
+  cleanup() {
+    this.npcsByMatch.clear();
+  }
+}
+
+module.exports = NpcManager;
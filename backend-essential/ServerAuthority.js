@@ -1,4 +1,15 @@
 // const { v4: uuidv4 } = require('uuid'); // Future: unique IDs
+const {
+  DEFAULT_WORLD_BOUNDS,
+  distanceBetween,
+  traceGridLine,
+  getRoomCell,
+  clonePosition,
+  offsetPosition,
+  isPositionInBounds: isWithinBounds
+} = require('./utils/position');
+const { createSeededRandom } = require('./utils/noise');
+const { loadLootTables, pruneUnknownItems, rollLoot } = require('./utils/loot');
 
 /**
  * ServerAuthority - Comprehensive anti-cheat and server-authoritative system
@@ -6,22 +17,20 @@
  */
 class ServerAuthority {
   constructor() {
-    // Game world configuration
-    this.worldBounds = {
-      minX: 0,
-      maxX: 1000,
-      minY: 0,
-      maxY: 1000
-    };
+    // Game world configuration (world tiles; matches pass their own map bounds)
+    // Positions use the { world, room } model from utils/position, distances are in room cells
+    this.worldBounds = { ...DEFAULT_WORLD_BOUNDS };
 
     // Movement limits and validation
-    this.maxMovementSpeed = 5.0; // units per second
+    this.maxMovementSpeed = 5.0; // room cells per second
     this.maxMovementPerTick = 10.0; // maximum movement distance per tick
+    this.maxPickupRange = 1.5; // room cells
+    this.jumpAuthorizationWindow = 1000; // ms a sanctioned jump stays valid
 
     // Item system
     this.gameItems = new Map(); // itemId -> item data
     this.playerInventories = new Map(); // playerId -> inventory
-    this.itemSpawnLocations = new Map(); // locationId -> item spawns
+    this.lootTables = null; // room CHEST/ITEM drops, loaded from JSON below
     this.itemIdCounter = 1;
 
     // Item type definitions
@@ -66,6 +75,7 @@ class ServerAuthority {
         name: 'Iron Sword',
         type: 'WEAPON',
         rarity: 'common',
+        value: 40, // base price in gold
         stats: { attack: 15, criticalChance: 5 },
         description: 'A sturdy iron sword suitable for basic combat.'
       },
@@ -74,6 +84,7 @@ class ServerAuthority {
         name: 'Steel Dagger',
         type: 'WEAPON',
         rarity: 'common',
+        value: 35,
         stats: { attack: 12, criticalChance: 15, attackSpeed: 1.2 },
         description: 'A quick steel dagger for swift strikes.'
       },
@@ -84,6 +95,7 @@ class ServerAuthority {
         name: 'Leather Armor',
         type: 'ARMOR',
         rarity: 'common',
+        value: 30,
         stats: { defense: 8, health: 20 },
         description: 'Basic leather protection for adventurers.'
       },
@@ -92,6 +104,7 @@ class ServerAuthority {
         name: 'Chain Mail',
         type: 'ARMOR',
         rarity: 'uncommon',
+        value: 75,
         stats: { defense: 15, health: 40, healthRegen: 1 },
         description: 'Interlocked metal rings providing good protection.'
       },
@@ -102,6 +115,7 @@ class ServerAuthority {
         name: 'Health Potion',
         type: 'CONSUMABLE',
         rarity: 'common',
+        value: 15,
         effects: { health: 50 },
         description: 'Restores 50 health points instantly.'
       },
@@ -110,9 +124,37 @@ class ServerAuthority {
         name: 'Mana Potion',
         type: 'CONSUMABLE',
         rarity: 'common',
+        value: 12,
         effects: { mana: 30 },
         description: 'Restores 30 mana points instantly.'
       },
+      'regeneration_potion': {
+        id: 'regeneration_potion',
+        name: 'Regeneration Potion',
+        type: 'CONSUMABLE',
+        rarity: 'uncommon',
+        value: 30,
+        effects: { buff: 'regeneration' },
+        description: 'Slowly restores health over 12 seconds.'
+      },
+      'swiftness_elixir': {
+        id: 'swiftness_elixir',
+        name: 'Swiftness Elixir',
+        type: 'CONSUMABLE',
+        rarity: 'uncommon',
+        value: 25,
+        effects: { buff: 'haste' },
+        description: 'Increases movement speed for a short time.'
+      },
+      'berserker_draught': {
+        id: 'berserker_draught',
+        name: 'Berserker Draught',
+        type: 'CONSUMABLE',
+        rarity: 'rare',
+        value: 60,
+        effects: { buff: 'berserk', debuff: 'exposed' },
+        description: 'Greatly raises attack at the cost of defense.'
+      },
 
       // Materials
       'iron_ore': {
@@ -120,6 +162,7 @@ class ServerAuthority {
         name: 'Iron Ore',
         type: 'MATERIAL',
         rarity: 'common',
+        value: 4,
         description: 'Raw iron ore for crafting weapons and armor.'
       },
       'magic_crystal': {
@@ -127,24 +170,203 @@ class ServerAuthority {
         name: 'Magic Crystal',
         type: 'MATERIAL',
         rarity: 'rare',
+        value: 50,
         description: 'A glowing crystal infused with magical energy.'
       }
     };
 
-    // Initialize item spawn system
-    this.initializeItemSpawns();
+    // Skill and spell catalogue (cooldowns are counted in skill ticks, 3s each)
+    // area.shape: 'self' | 'single' (targetId) | 'circle' (radius around caster or target)
+    this.skillDatabase = {
+      // Skills - physical, scale with attack
+      'power_strike': {
+        id: 'power_strike',
+        name: 'Power Strike',
+        category: 'SKILL',
+        manaCost: 10,
+        cooldownTicks: 2,
+        range: 2,
+        area: { shape: 'single' },
+        effect: { type: 'damage', power: 20, scaling: 1.0 },
+        description: 'A heavy blow against a single target.'
+      },
+      'cleave': {
+        id: 'cleave',
+        name: 'Cleave',
+        category: 'SKILL',
+        manaCost: 20,
+        cooldownTicks: 3,
+        range: 0,
+        area: { shape: 'circle', origin: 'caster', radius: 2 },
+        effect: { type: 'damage', power: 12, scaling: 0.5 },
+        description: 'A sweeping strike that hits every enemy nearby.'
+      },
+      'battle_cry': {
+        id: 'battle_cry',
+        name: 'Battle Cry',
+        category: 'SKILL',
+        manaCost: 15,
+        cooldownTicks: 5,
+        range: 0,
+        area: { shape: 'self' },
+        effect: { type: 'buff', statusEffect: 'battle_cry' },
+        description: 'Raises attack for a short time.'
+      },
+
+      // Spells - magical, mostly flat power
+      'fireball': {
+        id: 'fireball',
+        name: 'Fireball',
+        category: 'SPELL',
+        manaCost: 25,
+        cooldownTicks: 2,
+        range: 8,
+        area: { shape: 'circle', origin: 'target', radius: 2 },
+        effect: { type: 'damage', power: 25, scaling: 0.3 },
+        description: 'Explodes on impact, burning everyone around the target.'
+      },
+      'heal': {
+        id: 'heal',
+        name: 'Heal',
+        category: 'SPELL',
+        manaCost: 20,
+        cooldownTicks: 3,
+        range: 6,
+        area: { shape: 'single', allowSelf: true },
+        effect: { type: 'heal', amount: 30 },
+        description: 'Restores 30 health to the caster or a target.'
+      },
+      'weaken': {
+        id: 'weaken',
+        name: 'Weaken',
+        category: 'SPELL',
+        manaCost: 15,
+        cooldownTicks: 4,
+        range: 7,
+        area: { shape: 'single' },
+        effect: { type: 'debuff', statusEffect: 'weakened' },
+        description: 'Lowers the target\'s defense for a short time.'
+      }
+    };
+
+    // Status effect catalogue (buffs/debuffs applied by skills, items and hazards)
+    // stackPolicy: 'refresh' resets the timer, 'stack' adds a stack up to maxStacks
+    // (and refreshes), 'ignore' leaves a running effect untouched
+    // modifiers are added to stats per stack; periodic.health is applied every tickInterval ms
+    this.statusEffectDatabase = {
+      'battle_cry': {
+        id: 'battle_cry',
+        name: 'Battle Cry',
+        kind: 'buff',
+        duration: 9000,
+        stackPolicy: 'refresh',
+        modifiers: { attack: 5 }
+      },
+      'weakened': {
+        id: 'weakened',
+        name: 'Weakened',
+        kind: 'debuff',
+        duration: 9000,
+        stackPolicy: 'refresh',
+        modifiers: { defense: -4 }
+      },
+      'regeneration': {
+        id: 'regeneration',
+        name: 'Regeneration',
+        kind: 'buff',
+        duration: 12000,
+        stackPolicy: 'refresh',
+        tickInterval: 3000,
+        periodic: { health: 6 }
+      },
+      'poison': {
+        id: 'poison',
+        name: 'Poison',
+        kind: 'debuff',
+        duration: 9000,
+        stackPolicy: 'stack',
+        maxStacks: 3,
+        tickInterval: 1500,
+        periodic: { health: -3 }
+      },
+      'haste': {
+        id: 'haste',
+        name: 'Haste',
+        kind: 'buff',
+        duration: 8000,
+        stackPolicy: 'ignore',
+        modifiers: { speed: 2.5 }
+      },
+      'berserk': {
+        id: 'berserk',
+        name: 'Berserk',
+        kind: 'buff',
+        duration: 15000,
+        stackPolicy: 'ignore',
+        modifiers: { attack: 8 }
+      },
+      'exposed': {
+        id: 'exposed',
+        name: 'Exposed',
+        kind: 'debuff',
+        duration: 15000,
+        stackPolicy: 'refresh',
+        modifiers: { defense: -5 }
+      },
+      'snared': {
+        id: 'snared',
+        name: 'Snared',
+        kind: 'debuff',
+        duration: 3000,
+        stackPolicy: 'refresh',
+        preventsMovement: true
+      }
+    };
+
+    // Loot tables for room chests and item tiles
+    this.initializeLootTables();
+
+    // Wizard enchantments on equipment: stat bonus per level, and the odds that
+    // identifying a found piece reveals it was already enchanted ([+1, +2])
+    this.enchantRules = {
+      maxLevel: 3,
+      bonusPerLevel: {
+        WEAPON: { attack: 3 },
+        ARMOR: { defense: 3 }
+      },
+      foundEnchantmentChance: [0.3, 0.15]
+    };
 
     // Combat configuration (server-only)
     this.combatRules = {
-      maxAttackRange: 50.0,
+      maxAttackRange: 2.0, // room cells
       attackCooldown: 1500, // ms, matches autoattack tick
+      tickTolerance: 50, // ms of timer jitter allowed when autoattacking on the tick
       maxDamagePerHit: 25,
       minDamagePerHit: 5,
+      criticalMultiplier: 1.5,
       maxHealth: 100,
       healthRegenRate: 0.5, // per second when not in combat
       combatTimeout: 5000 // ms before leaving combat state
     };
 
+    // Team play (duo/squad modes)
+    this.teamRules = {
+      friendlyFire: 'OFF', // OFF, REDUCED or FULL
+      friendlyFireScale: 0.5, // damage multiplier between teammates when REDUCED
+      downedHealth: 30, // bleed-out pool while waiting for a revive
+      downedBleedPerTick: 3, // per autoattack tick, paused while being revived
+      reviveRange: 1.5, // room cells
+      reviveDuration: 4500, // ms - three autoattack ticks
+      reviveHealth: 30
+    };
+
+    // Skill configuration (server-only)
+    this.skillRules = {
+      maxMana: 100,
+      manaRegenPerTick: 5 // mana restored every skill tick
+    };
+
     // Anti-cheat thresholds
     this.cheatDetection = {
       maxActionsPerSecond: 10,
@@ -162,22 +384,39 @@ class ServerAuthority {
 
   /**
    * Validate and process player movement request
-   * Returns the authoritative position or null if invalid
+   * Returns the authoritative position or null if invalid.
+   * On rejection playerData.moveRejection holds { reason, blockedAt } for the client.
+   * mapData gives access to the match map: { bounds, isTileAccessible(x, y), getRoomTerrain(x, y) }
    */
-  validateMovement(playerId, fromPos, toPos, timestamp, playerData) {
+  validateMovement(playerId, fromPos, toPos, timestamp, playerData, mapData = null) {
+    playerData.moveRejection = null;
+
     // Basic boundary validation
-    if (!this.isPositionInBounds(toPos)) {
+    const bounds = mapData?.bounds || this.worldBounds;
+    if (!this.isPositionInBounds(toPos, bounds)) {
       this.flagSuspiciousActivity(playerId, 'OUT_OF_BOUNDS', {
         position: toPos,
-        bounds: this.worldBounds
+        bounds
       });
+      playerData.moveRejection = { reason: 'OUT_OF_BOUNDS' };
       return null;
     }
 
+    // A server-initiated jump (e.g. a portal) skips the speed and collision checks, once
+    const jump = playerData.sanctionedJump;
+    if (jump) {
+      playerData.sanctionedJump = null;
+      if (timestamp <= jump.expiresAt && this.isSamePosition(jump.position, toPos)) {
+        this.recordPlayerAction(playerId, 'JUMP', { fromPos, toPos, reason: jump.reason });
+        return toPos;
+      }
+    }
+
     // Calculate movement distance and time
     const distance = this.calculateDistance(fromPos, toPos);
-    const timeDelta = timestamp - (playerData.lastMoveTime || timestamp);
-    const maxAllowedDistance = this.calculateMaxMovementDistance(timeDelta);
+    const timeDelta = timestamp - (playerData.gameState.lastMoveTime || timestamp);
+    const movementSpeed = this.getDerivedStats(playerData).speed;
+    const maxAllowedDistance = this.calculateMaxMovementDistance(timeDelta, movementSpeed);
 
     // Speed hacking detection
     if (distance > maxAllowedDistance) {
@@ -189,13 +428,16 @@ class ServerAuthority {
       });
 
       // Teleport back to last known valid position
-      return playerData.lastValidPosition || fromPos;
+      playerData.moveRejection = { reason: 'SPEED_LIMIT' };
+      return playerData.gameState.lastValidPosition || fromPos;
     }
 
-    // Obstacle collision (simplified - expand based on game map)
-    if (this.hasObstacleCollision(fromPos, toPos)) {
-      this.flagSuspiciousActivity(playerId, 'WALL_HACK', { fromPos, toPos });
-      return playerData.lastValidPosition || fromPos;
+    // Obstacle collision along the line of travel
+    const collision = this.hasObstacleCollision(fromPos, toPos, mapData);
+    if (collision) {
+      this.flagSuspiciousActivity(playerId, 'WALL_HACK', { fromPos, toPos, reason: collision.reason });
+      playerData.moveRejection = collision;
+      return playerData.gameState.lastValidPosition || fromPos;
     }
 
     // Movement is valid
@@ -203,6 +445,18 @@ class ServerAuthority {
     return toPos;
   }
 
+  /**
+   * Let the next validateMovement call move the player straight to toPos
+   * Only the server calls this, right before it moves the player itself
+   */
+  authorizeJump(playerData, toPos, reason, timestamp = Date.now()) {
+    playerData.sanctionedJump = {
+      position: clonePosition(toPos),
+      reason,
+      expiresAt: timestamp + this.jumpAuthorizationWindow
+    };
+  }
+
   /**
    * Validate and process combat action
    * Returns combat result or null if invalid
@@ -211,7 +465,7 @@ class ServerAuthority {
     const attacker = gameState.players.get(attackerId);
     const target = gameState.players.get(targetId);
 
-    if (!attacker || !target) {
+    if (!attacker || !target || attacker.matchId !== target.matchId || target.gameState.alive === false) {
       this.flagSuspiciousActivity(attackerId, 'INVALID_TARGET', { targetId });
       return null;
     }
@@ -222,14 +476,24 @@ class ServerAuthority {
       return null;
     }
 
-    // Check attack cooldown
+    // Downed players can only wait for a revive
+    if (attacker.gameState.downed) {
+      return null;
+    }
+
+    if (this.teamRules.friendlyFire === 'OFF' && this.areTeammates(attacker, target)) {
+      return null;
+    }
+
+    // Check attack cooldown (scaled by the attacker's attack speed)
     const lastAttack = attacker.gameState.lastAttackTime || 0;
     const timeSinceLastAttack = timestamp - lastAttack;
+    const attackCooldown = this.getDerivedStats(attacker).attackCooldown;
 
-    if (timeSinceLastAttack < this.combatRules.attackCooldown) {
+    if (timeSinceLastAttack < attackCooldown) {
       this.flagSuspiciousActivity(attackerId, 'ATTACK_SPEED_HACK', {
         timeSinceLastAttack,
-        requiredCooldown: this.combatRules.attackCooldown
+        requiredCooldown: attackCooldown
       });
       return null;
     }
@@ -245,10 +509,11 @@ class ServerAuthority {
     }
 
     // Calculate server-side damage (never trust client damage values)
-    const damage = this.calculateDamage(attacker, target, actionType);
+    const { damage, isCritical } = this.calculateDamage(attacker, target, actionType);
 
     // Apply damage server-side
     const combatResult = this.applyCombatDamage(attackerId, targetId, damage, timestamp, gameState);
+    combatResult.isCritical = isCritical;
 
     this.recordPlayerAction(attackerId, 'COMBAT', {
       target: targetId,
@@ -260,16 +525,57 @@ class ServerAuthority {
     return combatResult;
   }
 
+  /**
+   * Validate a player attack on a monster (same cooldown and range rules as PvP)
+   * Returns { damage, isCritical } or null; the caller applies it to the monster
+   */
+  validateEnemyAttack(attackerId, enemy, timestamp, gameState) {
+    const attacker = gameState.players.get(attackerId);
+    if (!attacker || !enemy || !enemy.gameState.alive || attacker.matchId !== enemy.matchId) {
+      this.flagSuspiciousActivity(attackerId, 'INVALID_TARGET', { targetId: enemy?.enemyId });
+      return null;
+    }
+
+    if (!attacker.gameState.alive || attacker.gameState.health <= 0 || attacker.gameState.downed) {
+      return null;
+    }
+
+    const timeSinceLastAttack = timestamp - (attacker.gameState.lastAttackTime || 0);
+    const attackCooldown = this.getDerivedStats(attacker).attackCooldown;
+    if (timeSinceLastAttack < attackCooldown) {
+      this.flagSuspiciousActivity(attackerId, 'ATTACK_SPEED_HACK', {
+        timeSinceLastAttack,
+        requiredCooldown: attackCooldown
+      });
+      return null;
+    }
+
+    const distance = this.calculateDistance(attacker.gameState.position, enemy.gameState.position);
+    if (distance > this.combatRules.maxAttackRange) {
+      this.flagSuspiciousActivity(attackerId, 'RANGE_HACK', {
+        distance,
+        maxRange: this.combatRules.maxAttackRange
+      });
+      return null;
+    }
+
+    this.recordPlayerAction(attackerId, 'COMBAT', { target: enemy.enemyId, actionType: 'ATTACK', distance });
+
+    return this.calculateDamage(attacker, enemy, 'ATTACK');
+  }
+
   /**
    * Server-side damage calculation (never trust client)
+   * Returns { damage, isCritical }
    */
   calculateDamage(attacker, target, _actionType) {
     // Base damage calculation
     const baseDamage = 15; // Base autoattack damage
 
-    // Apply attacker stats (server-controlled)
-    const attackPower = attacker.gameState.stats?.attack || 10;
-    const defense = target.gameState.stats?.defense || 5;
+    // Apply derived stats (server-controlled)
+    const attackerStats = this.getDerivedStats(attacker);
+    const attackPower = attackerStats.attack;
+    const defense = this.getDerivedStats(target).defense;
 
     // Calculate final damage
     let finalDamage = Math.max(1, baseDamage + attackPower - defense);
@@ -281,18 +587,27 @@ class ServerAuthority {
     finalDamage = Math.max(this.combatRules.minDamagePerHit,
       Math.min(this.combatRules.maxDamagePerHit, finalDamage));
 
-    return finalDamage;
+    // Critical hits are rolled after the clamp so they can exceed the normal cap
+    const isCritical = Math.random() * 100 < attackerStats.criticalChance;
+    if (isCritical) {
+      finalDamage = Math.round(finalDamage * this.combatRules.criticalMultiplier);
+    }
+
+    return { damage: this.applyFriendlyFireScale(attacker, target, finalDamage), isCritical };
   }
 
   /**
    * Apply combat damage server-side
+   * Skill damage does not reset the attacker's autoattack cooldown
    */
-  applyCombatDamage(attackerId, targetId, damage, timestamp, gameState) {
+  applyCombatDamage(attackerId, targetId, damage, timestamp, gameState, source = 'ATTACK') {
     const attacker = gameState.players.get(attackerId);
     const target = gameState.players.get(targetId);
 
     // Update attacker state
-    attacker.gameState.lastAttackTime = timestamp;
+    if (source !== 'SKILL') {
+      attacker.gameState.lastAttackTime = timestamp;
+    }
     attacker.gameState.inCombat = true;
     attacker.gameState.lastCombatTime = timestamp;
 
@@ -302,7 +617,8 @@ class ServerAuthority {
     target.gameState.inCombat = true;
     target.gameState.lastCombatTime = timestamp;
 
-    // Check for death
+    // Lethal damage downs a player whose team can still revive them; hitting a downed player finishes them
+    const isDowned = target.gameState.health <= 0 && this.tryDownPlayer(target, attackerId, timestamp, gameState);
     const isDead = target.gameState.health <= 0;
     if (isDead) {
       this.handlePlayerDeath(targetId, attackerId, timestamp, gameState);
@@ -314,6 +630,7 @@ class ServerAuthority {
       damage,
       oldHealth,
       newHealth: target.gameState.health,
+      isDowned,
       isDead,
       timestamp
     };
@@ -340,6 +657,55 @@ class ServerAuthority {
     console.log(`Player ${deadPlayerId} killed by ${killerId}`);
   }
 
+  /**
+   * Same match and same team (solo players have no teammates)
+   */
+  areTeammates(playerA, playerB) {
+    return Boolean(playerA && playerB && playerA.playerId !== playerB.playerId &&
+      playerA.matchId === playerB.matchId &&
+      playerA.gameState.teamId && playerA.gameState.teamId === playerB.gameState.teamId);
+  }
+
+  // Teammates still on their feet - only they can revive
+  getStandingTeammates(player, gameState) {
+    const teammates = [];
+    for (const other of gameState.players.values()) {
+      if (this.areTeammates(player, other) && other.gameState.alive && !other.gameState.downed) {
+        teammates.push(other);
+      }
+    }
+    return teammates;
+  }
+
+  applyFriendlyFireScale(attacker, target, damage) {
+    if (!this.areTeammates(attacker, target) || this.teamRules.friendlyFire !== 'REDUCED') return damage;
+    return Math.max(1, Math.round(damage * this.teamRules.friendlyFireScale));
+  }
+
+  /**
+   * Put a player at zero health into the downed state instead of killing them
+   * Only possible once per life and while a teammate is standing to revive them
+   * Returns true if the player was downed
+   */
+  tryDownPlayer(player, attackerId, timestamp, gameState) {
+    const state = player.gameState;
+    if (!state.alive || state.downed || !state.teamId) return false;
+    if (this.getStandingTeammates(player, gameState).length === 0) return false;
+
+    state.downed = true;
+    state.downedAt = timestamp;
+    state.downedBy = attackerId && attackerId !== player.playerId ? attackerId : null;
+    state.health = this.teamRules.downedHealth;
+    state.inCombat = false;
+    state.targetId = null;
+    state.pendingCast = null;
+    state.statusEffects = [];
+    state.revive = null;
+
+    console.log(`Player ${player.playerId} downed by ${attackerId}`);
+    return true;
+  }
+
   /**
    * Validate item usage/pickup
    */
@@ -353,21 +719,34 @@ class ServerAuthority {
       return null;
     }
 
+    const action = String(actionType).toLowerCase();
+
+    // Items the player already carries need no range check
+    if (action !== 'pickup') {
+      const ownedItem = this.findOwnedItem(playerId, itemId);
+      if (!ownedItem) {
+        this.flagSuspiciousActivity(playerId, 'INVALID_ITEM', { itemId, actionType: action });
+        return null;
+      }
+
+      return this.processItemAction(playerId, ownedItem, action, timestamp, gameState);
+    }
+
     // Validate item exists and is in range
     const item = this.findItemById(itemId, gameState);
-    if (!item) {
+    if (!item || (item.matchId && item.matchId !== player.matchId)) {
       this.flagSuspiciousActivity(playerId, 'INVALID_ITEM', { itemId });
       return null;
     }
 
     const distance = this.calculateDistance(player.gameState.position, item.position);
-    if (distance > 30.0) { // Max pickup range
+    if (distance > this.maxPickupRange) {
       this.flagSuspiciousActivity(playerId, 'ITEM_RANGE_HACK', { distance, itemId });
       return null;
     }
 
     // Process item action server-side
-    return this.processItemAction(playerId, item, actionType, timestamp, gameState);
+    return this.processItemAction(playerId, item, action, timestamp, gameState);
   }
 
   /**
@@ -443,26 +822,70 @@ class ServerAuthority {
   /**
    * Utility functions
    */
-  isPositionInBounds(pos) {
-    return pos.x >= this.worldBounds.minX && pos.x <= this.worldBounds.maxX &&
-           pos.y >= this.worldBounds.minY && pos.y <= this.worldBounds.maxY;
+  isPositionInBounds(pos, bounds = this.worldBounds) {
+    return isWithinBounds(pos, bounds);
+  }
+
+  // Whether two { world, room } positions are the same cell of the same room
+  isSamePosition(pos1, pos2) {
+    return pos1.world.x === pos2.world.x && pos1.world.y === pos2.world.y &&
+      pos1.room.x === pos2.room.x && pos1.room.y === pos2.room.y;
   }
 
+  // Distance in room cells between two { world, room } positions
   calculateDistance(pos1, pos2) {
-    const dx = pos1.x - pos2.x;
-    const dy = pos1.y - pos2.y;
-    return Math.sqrt(dx * dx + dy * dy);
+    return distanceBetween(pos1, pos2);
   }
 
-  calculateMaxMovementDistance(timeDelta) {
+  calculateMaxMovementDistance(timeDelta, movementSpeed = this.maxMovementSpeed) {
     const timeInSeconds = timeDelta / 1000;
-    return this.maxMovementSpeed * timeInSeconds * this.cheatDetection.maxMovementSpeedMultiplier;
+    return movementSpeed * timeInSeconds * this.cheatDetection.maxMovementSpeedMultiplier;
   }
 
-  hasObstacleCollision(_fromPos, _toPos) {
-    // Simplified collision detection - expand based on actual game map
-    // For now, just check for obvious impossible moves
-    return false;
+  /**
+   * Check the line of travel against the match map
+   * World tiles crossed must be accessible; inside a room every cell crossed
+   * must be walkable. Cross-tile moves only check the destination cell since
+   * the room borders are walls. Returns null or { reason, blockedAt }.
+   */
+  hasObstacleCollision(fromPos, toPos, mapData) {
+    if (!mapData) return null;
+
+    const sameTile = fromPos.world.x === toPos.world.x && fromPos.world.y === toPos.world.y;
+
+    if (!sameTile) {
+      const tiles = traceGridLine(
+        { x: fromPos.world.x + 0.5, y: fromPos.world.y + 0.5 },
+        { x: toPos.world.x + 0.5, y: toPos.world.y + 0.5 }
+      );
+
+      for (const tile of tiles.slice(1)) {
+        if (!mapData.isTileAccessible(tile.x, tile.y)) {
+          return { reason: 'IMPASSABLE_TERRAIN', blockedAt: { world: tile } };
+        }
+      }
+    }
+
+    const terrain = mapData.getRoomTerrain(toPos.world.x, toPos.world.y);
+    if (!terrain) {
+      return { reason: 'IMPASSABLE_TERRAIN', blockedAt: { world: { ...toPos.world } } };
+    }
+
+    const cells = sameTile ?
+      traceGridLine(fromPos.room, toPos.room).slice(1) :
+      [getRoomCell(toPos)];
+
+    for (const cell of cells) {
+      const cellType = terrain[cell.y]?.[cell.x] ?? 'wall';
+      if (cellType === 'wall' || cellType === 'water') {
+        return {
+          reason: cellType === 'wall' ? 'WALL_COLLISION' : 'WATER_COLLISION',
+          blockedAt: { world: { ...toPos.world }, room: cell }
+        };
+      }
+    }
+
+    return null;
   }
 
   findItemById(itemId, _gameState) {
@@ -492,89 +915,146 @@ class ServerAuthority {
    * Item System Implementation
    */
 
-  // Initialize item spawns across the game world
-  initializeItemSpawns() {
-    // Define spawn areas and their possible item types
-    const spawnAreas = {
-      'starting_area': {
-        position: { x: 0, y: 0 },
-        radius: 50,
-        spawnChance: 0.3,
-        itemPool: ['health_potion', 'iron_ore', 'leather_armor']
-      },
-      'forest_area': {
-        position: { x: 200, y: 300 },
-        radius: 100,
-        spawnChance: 0.4,
-        itemPool: ['health_potion', 'mana_potion', 'iron_ore', 'magic_crystal']
-      },
-      'dungeon_area': {
-        position: { x: -200, y: 150 },
-        radius: 75,
-        spawnChance: 0.6,
-        itemPool: ['iron_sword', 'steel_dagger', 'chain_mail', 'magic_crystal']
-      }
-    };
+  // Load the loot tables; without them chests and item tiles are simply empty
+  initializeLootTables(filePath) {
+    try {
+      this.lootTables = loadLootTables(filePath);
+    } catch (error) {
+      console.error('Failed to load loot tables - rooms will drop no loot:', error.message);
+      this.lootTables = null;
+      return false;
+    }
 
-    // Spawn initial items
-    for (const [areaId, area] of Object.entries(spawnAreas)) {
-      this.itemSpawnLocations.set(areaId, area);
-      this.spawnItemsInArea(areaId);
+    const unknown = pruneUnknownItems(this.lootTables, this.itemDatabase);
+    if (unknown.length > 0) {
+      console.warn(`Loot tables reference unknown items: ${unknown.join(', ')}`);
     }
 
-    console.log('Item spawns initialized');
+    console.log(`Loot tables loaded for ${Object.keys(this.lootTables.roomTypes).length} room types`);
+    return true;
   }
 
-  // Spawn items in a specific area
-  spawnItemsInArea(areaId) {
-    const area = this.itemSpawnLocations.get(areaId);
-    if (!area) return;
-
-    // Spawn 2-5 items per area
-    const itemCount = Math.floor(Math.random() * 4) + 2;
-
-    for (let i = 0; i < itemCount; i++) {
-      if (Math.random() < area.spawnChance) {
-        const itemId = area.itemPool[Math.floor(Math.random() * area.itemPool.length)];
-        this.spawnItem(itemId, area.position, area.radius);
-      }
-    }
+  /**
+   * Spawn the loot of one CHEST or ITEM entity at its room cell
+   * The seed comes from the room so a match always produces the same loot for the same entity
+   */
+  spawnLoot(source, roomType, seed, position, matchId) {
+    if (!this.lootTables) return [];
+
+    const drops = rollLoot(this.lootTables, this.itemDatabase, source, roomType, createSeededRandom(seed));
+
+    // Found equipment has to be identified by a wizard before its enchantment is known
+    return drops
+      .map(drop => this.spawnItem(drop.templateId, position, 0, {
+        quantity: drop.quantity,
+        matchId,
+        source,
+        identified: this.itemTypes[this.itemDatabase[drop.templateId].type].category !== 'equipment'
+      }))
+      .filter(Boolean);
   }
 
   // Spawn a specific item at a location
-  spawnItem(itemTemplateId, centerPos, radius = 0) {
+  // options: { quantity, matchId (items are only visible to that match), source, identified }
+  spawnItem(itemTemplateId, centerPos, radius = 0, options = {}) {
     const template = this.itemDatabase[itemTemplateId];
     if (!template) {
       console.log(`Unknown item template: ${itemTemplateId}`);
       return null;
     }
 
-    // Generate unique item ID
-    const uniqueItemId = `${itemTemplateId}_${this.itemIdCounter++}`;
-
-    // Random position within radius
+    // Random position within radius (room cells)
     const angle = Math.random() * 2 * Math.PI;
     const distance = Math.random() * radius;
-    const position = {
-      x: centerPos.x + Math.cos(angle) * distance,
-      y: centerPos.y + Math.sin(angle) * distance
-    };
+    const position = offsetPosition(centerPos, Math.cos(angle) * distance, Math.sin(angle) * distance);
 
-    // Create item instance
-    const item = {
-      id: uniqueItemId,
-      templateId: itemTemplateId,
+    if (!this.isPositionInBounds(position)) {
+      console.log(`Rejected ${itemTemplateId} spawn outside world bounds`);
+      return null;
+    }
+
+    const item = this.createItem(itemTemplateId, { ...options, position });
+    this.gameItems.set(item.id, item);
+    console.log(`Spawned ${item.name} at world (${position.world.x}, ${position.world.y}) room (${position.room.x.toFixed(1)}, ${position.room.y.toFixed(1)})`);
+
+    return item;
+  }
+
+  // Build a new item instance from its template (not yet in the world or an inventory)
+  createItem(itemTemplateId, options = {}) {
+    const template = this.itemDatabase[itemTemplateId];
+    const stackable = this.itemTypes[template.type].stackable;
+
+    return {
       ...template,
-      position,
+      id: `${itemTemplateId}_${this.itemIdCounter++}`,
+      templateId: itemTemplateId,
+      matchId: options.matchId || null,
+      source: options.source || null,
+      identified: options.identified !== false,
+      enchantment: 0,
+      position: options.position || null,
       spawnTime: Date.now(),
-      quantity: this.itemTypes[template.type].stackable ?
-        Math.floor(Math.random() * 5) + 1 : 1
+      quantity: !stackable ? 1 :
+        options.quantity ? Math.min(options.quantity, this.itemTypes[template.type].maxStack) :
+          Math.floor(Math.random() * 5) + 1
     };
+  }
 
-    this.gameItems.set(uniqueItemId, item);
-    console.log(`Spawned ${item.name} at (${position.x.toFixed(1)}, ${position.y.toFixed(1)})`);
+  // Put a new item straight into a player's inventory (e.g. bought from a merchant)
+  grantItem(playerId, itemTemplateId, quantity, options = {}) {
+    if (!this.itemDatabase[itemTemplateId]) {
+      return { success: false, reason: 'Unknown item' };
+    }
 
-    return item;
+    const item = this.createItem(itemTemplateId, { ...options, quantity });
+    return this.pickupItem(playerId, item, Date.now());
+  }
+
+  // Take some or all of a carried stack out of the inventory
+  removeFromInventory(playerId, item, quantity = item.quantity) {
+    const inventory = this.playerInventories.get(playerId);
+    if (!inventory) return false;
+
+    item.quantity = Math.max(0, item.quantity - quantity);
+    if (item.quantity <= 0) {
+      const slot = this.findItemSlotInInventory(playerId, item.id);
+      if (slot !== null) {
+        inventory.items.delete(slot);
+      }
+    }
+    return true;
+  }
+
+  // Unidentified gear works at its base stats; identifying it reveals any enchantment it already carries
+  // Returns the enchantment level found
+  identifyItem(item, random = Math.random) {
+    item.identified = true;
+
+    const roll = random();
+    const [plusOne, plusTwo] = this.enchantRules.foundEnchantmentChance;
+    const found = roll < plusTwo ? 2 : roll < plusTwo + plusOne ? 1 : 0;
+    for (let level = 0; level < found; level++) {
+      this.enchantItem(item);
+    }
+
+    return found;
+  }
+
+  // Raise an equipment piece's enchantment by one level
+  enchantItem(item) {
+    const bonus = this.enchantRules.bonusPerLevel[item.type];
+    if (!bonus || (item.enchantment || 0) >= this.enchantRules.maxLevel) return false;
+
+    // Instances share the template's stats object until they are enchanted
+    item.stats = { ...item.stats };
+    for (const [stat, amount] of Object.entries(bonus)) {
+      item.stats[stat] = (item.stats[stat] || 0) + amount;
+    }
+    item.enchantment = (item.enchantment || 0) + 1;
+    item.name = `${this.itemDatabase[item.templateId].name} +${item.enchantment}`;
+
+    return true;
   }
 
   // Initialize player inventory
@@ -674,17 +1154,10 @@ class ServerAuthority {
     }
 
     // Apply item effects
-    const effects = this.applyItemEffects(player, item);
+    const effects = this.applyItemEffects(player, item, timestamp);
 
     // Remove one from stack or delete item
-    item.quantity = Math.max(0, item.quantity - 1);
-    if (item.quantity <= 0) {
-      // Find and remove item from inventory
-      const slot = this.findItemSlotInInventory(playerId, item.id);
-      if (slot !== null) {
-        inventory.items.delete(slot);
-      }
-    }
+    this.removeFromInventory(playerId, item, 1);
 
     console.log(`Player ${playerId} used ${item.name}, effects:`, effects);
 
@@ -698,14 +1171,14 @@ class ServerAuthority {
   }
 
   // Apply consumable item effects to player
-  applyItemEffects(player, item) {
+  applyItemEffects(player, item, timestamp = Date.now()) {
     const effects = {};
 
     if (item.effects) {
       // Health restoration
       if (item.effects.health) {
         const oldHealth = player.gameState.health;
-        const maxHealth = this.combatRules.maxHealth;
+        const maxHealth = player.gameState.maxHealth || this.combatRules.maxHealth;
         player.gameState.health = Math.min(maxHealth, oldHealth + item.effects.health);
         effects.healthRestored = player.gameState.health - oldHealth;
       }
@@ -718,10 +1191,12 @@ class ServerAuthority {
         effects.manaRestored = player.gameState.mana - oldMana;
       }
 
-      // Buffs/debuffs would be implemented here
-      if (item.effects.buff) {
-        effects.buff = item.effects.buff;
-        // Apply temporary buff to player
+      // Buffs/debuffs go through the status effect system
+      const statusEffects = [item.effects.buff, item.effects.debuff].filter(Boolean);
+      if (statusEffects.length > 0) {
+        effects.statusEffects = statusEffects.map(effectId =>
+          this.applyStatusEffect(player, effectId, timestamp, player.playerId)
+        );
       }
     }
 
@@ -798,14 +1273,18 @@ class ServerAuthority {
       inventory.items.delete(slot);
     }
 
-    // Add to world near player
+    // Dropping a worn item takes it off first
+    const wasEquipped = this.isItemEquipped(playerId, item.id);
+    if (wasEquipped) {
+      this.unequipItem(playerId, item, timestamp);
+    }
+
+    // Add to world at the player's feet
     const worldItem = {
       ...item,
       id: `dropped_${item.id}_${Date.now()}`,
-      position: {
-        x: player.gameState.position.x + (Math.random() - 0.5) * 10,
-        y: player.gameState.position.y + (Math.random() - 0.5) * 10
-      },
+      matchId: player.matchId,
+      position: clonePosition(player.gameState.position),
       droppedAt: timestamp,
       droppedBy: playerId
     };
@@ -817,7 +1296,8 @@ class ServerAuthority {
     return {
       success: true,
       action: 'dropped',
-      item: worldItem
+      item: worldItem,
+      wasEquipped
     };
   }
 
@@ -846,6 +1326,30 @@ class ServerAuthority {
     return null;
   }
 
+  // Find an item the player carries (inventory or equipped) by instance id
+  findOwnedItem(playerId, itemId) {
+    const inventory = this.playerInventories.get(playerId);
+    if (!inventory) return null;
+
+    for (const item of inventory.items.values()) {
+      if (item.id === itemId) return item;
+    }
+    for (const item of inventory.equipped.values()) {
+      if (item.id === itemId) return item;
+    }
+    return null;
+  }
+
+  isItemEquipped(playerId, itemId) {
+    const inventory = this.playerInventories.get(playerId);
+    if (!inventory) return false;
+
+    for (const item of inventory.equipped.values()) {
+      if (item.id === itemId) return true;
+    }
+    return false;
+  }
+
   getEquipmentSlot(item) {
     switch (item.type) {
     case 'WEAPON':
@@ -862,6 +1366,15 @@ class ServerAuthority {
     return this.playerInventories.get(playerId);
   }
 
+  // Forget the world items of a finished match
+  removeMatchItems(matchId) {
+    for (const [itemId, item] of this.gameItems) {
+      if (item.matchId === matchId) {
+        this.gameItems.delete(itemId);
+      }
+    }
+  }
+
   // Get all items in world within radius of position
   getItemsNearPosition(position, radius) {
     const nearbyItems = [];
@@ -876,6 +1389,431 @@ class ServerAuthority {
     return nearbyItems;
   }
 
+  /**
+   * Skill System Implementation
+   */
+
+  // Validate a skill cast against the current skill tick
+  // Returns the skill definition or null (with a rejection reason on cast.rejection)
+  validateSkillCast(casterId, cast, skillTick, gameState) {
+    const caster = gameState.players.get(casterId);
+    const skill = this.skillDatabase[cast.skillId];
+
+    if (!caster || !skill) {
+      this.flagSuspiciousActivity(casterId, 'INVALID_SKILL', { skillId: cast.skillId });
+      cast.rejection = 'Unknown skill';
+      return null;
+    }
+
+    if (!caster.gameState.alive || caster.gameState.health <= 0) {
+      this.flagSuspiciousActivity(casterId, 'DEAD_PLAYER_ACTION', { skillId: skill.id });
+      cast.rejection = 'Caster is dead';
+      return null;
+    }
+
+    if (caster.gameState.downed) {
+      cast.rejection = 'Caster is downed';
+      return null;
+    }
+
+    const readyAt = caster.gameState.skillCooldowns?.[skill.id] || 0;
+    if (skillTick < readyAt) {
+      cast.rejection = 'Skill on cooldown';
+      return null;
+    }
+
+    if ((caster.gameState.mana ?? this.skillRules.maxMana) < skill.manaCost) {
+      cast.rejection = 'Not enough mana';
+      return null;
+    }
+
+    if (skill.area.shape === 'single' || skill.area.origin === 'target') {
+      const targetId = cast.targetId || (skill.area.allowSelf ? casterId : null);
+      const target = targetId ? gameState.players.get(targetId) : null;
+
+      const isHostile = skill.effect.type === 'damage' || skill.effect.type === 'debuff';
+      if (!target || target.matchId !== caster.matchId || !target.gameState.alive ||
+          (isHostile && targetId === casterId)) {
+        cast.rejection = 'Invalid target';
+        return null;
+      }
+
+      if (isHostile && this.teamRules.friendlyFire === 'OFF' && this.areTeammates(caster, target)) {
+        cast.rejection = 'Target is a teammate';
+        return null;
+      }
+
+      // Downed players can only be brought back by a revive
+      if (!isHostile && target.gameState.downed) {
+        cast.rejection = 'Target is downed';
+        return null;
+      }
+
+      const distance = this.calculateDistance(caster.gameState.position, target.gameState.position);
+      if (distance > skill.range) {
+        cast.rejection = 'Target out of range';
+        return null;
+      }
+    }
+
+    return skill;
+  }
+
+  // Resolve a validated cast: spend mana, start the cooldown and apply the effect
+  resolveSkillCast(casterId, cast, skill, skillTick, timestamp, gameState) {
+    const caster = gameState.players.get(casterId);
+
+    caster.gameState.mana = (caster.gameState.mana ?? this.skillRules.maxMana) - skill.manaCost;
+    caster.gameState.skillCooldowns = caster.gameState.skillCooldowns || {};
+    caster.gameState.skillCooldowns[skill.id] = skillTick + skill.cooldownTicks;
+
+    const targets = this.getSkillTargets(casterId, cast, skill, gameState);
+    const targetResults = [];
+
+    for (const target of targets) {
+      switch (skill.effect.type) {
+      case 'damage': {
+        const damage = this.calculateSkillDamage(caster, target, skill);
+        const result = this.applyCombatDamage(casterId, target.playerId, damage, timestamp, gameState, 'SKILL');
+        targetResults.push({
+          playerId: target.playerId,
+          damage,
+          oldHealth: result.oldHealth,
+          newHealth: result.newHealth,
+          isDowned: result.isDowned,
+          isDead: result.isDead
+        });
+        break;
+      }
+
+      case 'heal': {
+        const oldHealth = target.gameState.health;
+        const maxHealth = target.gameState.maxHealth || this.combatRules.maxHealth;
+        target.gameState.health = Math.min(maxHealth, oldHealth + skill.effect.amount);
+        targetResults.push({
+          playerId: target.playerId,
+          healed: target.gameState.health - oldHealth,
+          oldHealth,
+          newHealth: target.gameState.health,
+          isDead: false
+        });
+        break;
+      }
+
+      case 'buff':
+      case 'debuff': {
+        const application = this.applyStatusEffect(target, skill.effect.statusEffect, timestamp, casterId);
+        targetResults.push({
+          playerId: target.playerId,
+          statusEffect: application,
+          isDead: false
+        });
+        break;
+      }
+
+      default:
+        console.log(`Unknown skill effect: ${skill.effect.type}`);
+      }
+    }
+
+    this.recordPlayerAction(casterId, 'SKILL', { skillId: skill.id, targets: targetResults.length });
+
+    return {
+      success: true,
+      skillId: skill.id,
+      skillName: skill.name,
+      casterId,
+      effectType: skill.effect.type,
+      manaCost: skill.manaCost,
+      manaRemaining: caster.gameState.mana,
+      readyAtTick: caster.gameState.skillCooldowns[skill.id],
+      targets: targetResults,
+      timestamp
+    };
+  }
+
+  // Work out who a cast hits based on its area shape
+  getSkillTargets(casterId, cast, skill, gameState) {
+    const caster = gameState.players.get(casterId);
+
+    switch (skill.area.shape) {
+    case 'self':
+      return [caster];
+
+    case 'single':
+      return [gameState.players.get(cast.targetId || casterId)];
+
+    case 'circle': {
+      const origin = skill.area.origin === 'target' ?
+        gameState.players.get(cast.targetId).gameState.position :
+        caster.gameState.position;
+
+      const sparesTeammates = this.teamRules.friendlyFire === 'OFF';
+      const targets = [];
+      for (const [playerId, player] of gameState.players) {
+        if (playerId === casterId || player.matchId !== caster.matchId || !player.gameState.alive) continue;
+        if (sparesTeammates && this.areTeammates(caster, player)) continue;
+        if (this.calculateDistance(origin, player.gameState.position) <= skill.area.radius) {
+          targets.push(player);
+        }
+      }
+      return targets;
+    }
+
+    default:
+      return [];
+    }
+  }
+
+  // Skill damage: flat power plus attack scaling, reduced by defense
+  calculateSkillDamage(caster, target, skill) {
+    const attackPower = this.getDerivedStats(caster).attack;
+    const defense = this.getDerivedStats(target).defense;
+
+    const damage = Math.max(this.combatRules.minDamagePerHit,
+      Math.round(skill.effect.power + attackPower * skill.effect.scaling - defense));
+    return this.applyFriendlyFireScale(caster, target, damage);
+  }
+
+  // Regenerate mana - runs once per skill tick
+  processSkillUpkeep(player, _timestamp) {
+    const gameState = player.gameState;
+
+    if (gameState.alive) {
+      const maxMana = gameState.maxMana || this.skillRules.maxMana;
+      gameState.mana = Math.min(maxMana, (gameState.mana ?? maxMana) + this.skillRules.manaRegenPerTick);
+    }
+  }
+
+  /**
+   * Derived Stats Implementation
+   */
+
+  // Combine base stats, equipped item stats and active status effect modifiers.
+  // Everything that reads a combat stat should go through here.
+  getDerivedStats(player) {
+    const base = player.gameState.stats || {};
+    const derived = {
+      attack: base.attack ?? 10,
+      defense: base.defense ?? 5,
+      speed: base.speed ?? this.maxMovementSpeed,
+      maxHealth: this.combatRules.maxHealth,
+      healthRegen: this.combatRules.healthRegenRate,
+      criticalChance: 0,
+      attackSpeed: 1
+    };
+
+    const inventory = this.playerInventories.get(player.playerId);
+    if (inventory) {
+      for (const item of inventory.equipped.values()) {
+        const stats = item.stats || {};
+        derived.attack += stats.attack || 0;
+        derived.defense += stats.defense || 0;
+        derived.maxHealth += stats.health || 0;
+        derived.healthRegen += stats.healthRegen || 0;
+        derived.criticalChance += stats.criticalChance || 0;
+        derived.attackSpeed *= stats.attackSpeed || 1;
+      }
+    }
+
+    for (const stat of ['attack', 'defense', 'speed', 'maxHealth', 'healthRegen', 'criticalChance']) {
+      derived[stat] += this.getStatModifier(player, stat);
+    }
+
+    derived.defense = Math.max(0, derived.defense);
+    derived.speed = Math.max(0, derived.speed);
+    derived.maxHealth = Math.max(1, Math.round(derived.maxHealth));
+    derived.healthRegen = Math.max(0, derived.healthRegen);
+    derived.criticalChance = Math.min(100, Math.max(0, derived.criticalChance));
+    derived.attackCooldown = Math.round(this.combatRules.attackCooldown / derived.attackSpeed);
+
+    return derived;
+  }
+
+  // Sync gameState.maxHealth with the derived value; health is clamped but never topped up
+  refreshDerivedStats(player) {
+    const derived = this.getDerivedStats(player);
+    player.gameState.maxHealth = derived.maxHealth;
+    player.gameState.health = Math.min(player.gameState.health, derived.maxHealth);
+    return derived;
+  }
+
+  // Passive out-of-combat regeneration; fractional health carries over between ticks
+  processHealthRegen(player, elapsedMs) {
+    const gameState = player.gameState;
+    if (!gameState.alive || gameState.downed || gameState.inCombat) return 0;
+
+    const maxHealth = gameState.maxHealth || this.combatRules.maxHealth;
+    if (gameState.health >= maxHealth) {
+      gameState.regenCarry = 0;
+      return 0;
+    }
+
+    const regen = (gameState.regenCarry || 0) + this.getDerivedStats(player).healthRegen * (elapsedMs / 1000);
+    const healed = Math.min(maxHealth - gameState.health, Math.floor(regen));
+    gameState.regenCarry = regen - Math.floor(regen);
+    gameState.health += healed;
+
+    return healed;
+  }
+
+  // Client-facing stat sheet
+  describeStatSheet(player) {
+    const inventory = this.playerInventories.get(player.playerId);
+    const equipment = {};
+    if (inventory) {
+      for (const [slot, item] of inventory.equipped) {
+        equipment[slot] = { id: item.id, name: item.name, stats: item.stats || {} };
+      }
+    }
+
+    return {
+      stats: this.getDerivedStats(player),
+      baseStats: { ...player.gameState.stats },
+      equipment,
+      health: player.gameState.health,
+      maxHealth: player.gameState.maxHealth
+    };
+  }
+
+  /**
+   * Status Effect System Implementation
+   */
+
+  // Apply a status effect following its stack policy
+  // Returns { effectId, action: 'applied' | 'refreshed' | 'stacked' | 'ignored', stacks, expiresAt }
+  applyStatusEffect(player, effectId, timestamp, sourceId = null) {
+    const definition = this.statusEffectDatabase[effectId];
+    if (!definition) {
+      console.log(`Unknown status effect: ${effectId}`);
+      return { effectId, action: 'ignored', reason: 'Unknown effect' };
+    }
+
+    const effects = player.gameState.statusEffects || (player.gameState.statusEffects = []);
+    const existing = effects.find(effect => effect.effectId === effectId);
+    let action;
+
+    if (!existing) {
+      effects.push({
+        effectId,
+        kind: definition.kind,
+        stacks: 1,
+        sourceId,
+        appliedAt: timestamp,
+        expiresAt: timestamp + definition.duration,
+        nextTickAt: definition.tickInterval ? timestamp + definition.tickInterval : null
+      });
+      action = 'applied';
+    } else {
+      switch (definition.stackPolicy) {
+      case 'stack':
+        existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + 1);
+        existing.expiresAt = timestamp + definition.duration;
+        existing.sourceId = sourceId;
+        action = 'stacked';
+        break;
+      case 'refresh':
+        existing.expiresAt = timestamp + definition.duration;
+        existing.sourceId = sourceId;
+        action = 'refreshed';
+        break;
+      case 'ignore':
+      default:
+        action = 'ignored';
+        break;
+      }
+    }
+
+    const effect = existing || effects[effects.length - 1];
+    return {
+      effectId,
+      name: definition.name,
+      kind: definition.kind,
+      action,
+      stacks: effect.stacks,
+      expiresAt: effect.expiresAt,
+      sourceId: effect.sourceId
+    };
+  }
+
+  // Sum the active modifiers for a stat (per stack)
+  getStatModifier(player, stat) {
+    const effects = player.gameState.statusEffects || [];
+    const now = Date.now();
+
+    return effects.reduce((sum, effect) => {
+      if (effect.expiresAt <= now) return sum;
+      const modifiers = this.statusEffectDatabase[effect.effectId]?.modifiers || {};
+      return sum + (modifiers[stat] || 0) * effect.stacks;
+    }, 0);
+  }
+
+  // Whether an active effect (e.g. a snare) pins the player in place
+  isImmobilized(player) {
+    const now = Date.now();
+    return (player.gameState.statusEffects || []).some(effect =>
+      effect.expiresAt > now && this.statusEffectDatabase[effect.effectId]?.preventsMovement);
+  }
+
+  // Run periodic ticks (poison, regen) and drop expired effects
+  // Returns { ticks: [{ effectId, healthDelta, sourceId }], expired: [effectId], killedBy }
+  processStatusEffects(player, timestamp) {
+    const gameState = player.gameState;
+    const result = { ticks: [], expired: [], killedBy: undefined };
+    if (!gameState.statusEffects || gameState.statusEffects.length === 0) return result;
+
+    const maxHealth = gameState.maxHealth || this.combatRules.maxHealth;
+
+    for (const effect of gameState.statusEffects) {
+      const definition = this.statusEffectDatabase[effect.effectId];
+      if (!definition?.periodic || !effect.nextTickAt) continue;
+
+      while (gameState.alive && effect.nextTickAt <= timestamp && effect.nextTickAt <= effect.expiresAt) {
+        const oldHealth = gameState.health;
+        const change = (definition.periodic.health || 0) * effect.stacks;
+        gameState.health = Math.max(0, Math.min(maxHealth, oldHealth + change));
+        effect.nextTickAt += definition.tickInterval;
+
+        result.ticks.push({
+          effectId: effect.effectId,
+          healthDelta: gameState.health - oldHealth,
+          sourceId: effect.sourceId
+        });
+
+        if (gameState.health <= 0) {
+          result.killedBy = effect.sourceId;
+          break;
+        }
+      }
+    }
+
+    result.expired = this.removeStatusEffects(player, effect => effect.expiresAt <= timestamp);
+
+    return result;
+  }
+
+  // Drop the effects matching shouldRemove - on expiry, or early (a priest's cleanse)
+  // Returns the removed effectIds
+  removeStatusEffects(player, shouldRemove) {
+    const removed = [];
+    player.gameState.statusEffects = (player.gameState.statusEffects || []).filter(effect => {
+      if (!shouldRemove(effect)) return true;
+      removed.push(effect.effectId);
+      return false;
+    });
+    return removed;
+  }
+
+  // Client-facing view of a player's active effects
+  describeStatusEffects(player) {
+    return (player.gameState.statusEffects || []).map(effect => ({
+      effectId: effect.effectId,
+      kind: effect.kind,
+      stacks: effect.stacks,
+      expiresAt: effect.expiresAt
+    }));
+  }
+
   /**
    * Get anti-cheat statistics
    */
@@ -0,0 +1,149 @@
+/**
+ * SnapshotManager - per-client state snapshots, delta-compressed against what the client has acknowledged
+ * Each snapshot tick the server builds the authoritative state a client may see and sends only
+ * what changed since the last snapshot that client acknowledged. A client that never acked,
+ * fell too far behind or asked for one gets a full snapshot instead.
+ */
+class SnapshotManager {
+  constructor() {
+    this.sequenceByMatch = new Map(); // matchId -> last snapshot sequence
+    this.clientsByMatch = new Map(); // matchId -> Map<playerId, { ackedSequence, history: Map<sequence, entities> }>
+
+    this.SNAPSHOT_RULES = {
+      historySize: 32 // unacknowledged snapshots kept per client; older acks fall back to a full snapshot
+    };
+
+    this.stats = {
+      snapshotsSent: 0,
+      fullSnapshots: 0,
+      deltaSnapshots: 0,
+      bytesSent: 0,
+      fullSnapshotBytes: 0 // what the same snapshots would have cost sent in full
+    };
+
+    console.log('SnapshotManager initialized');
+  }
+
+  nextSequence(matchId) {
+    const sequence = (this.sequenceByMatch.get(matchId) || 0) + 1;
+    this.sequenceByMatch.set(matchId, sequence);
+    return sequence;
+  }
+
+  getClient(matchId, playerId) {
+    if (!this.clientsByMatch.has(matchId)) {
+      this.clientsByMatch.set(matchId, new Map());
+    }
+    const clients = this.clientsByMatch.get(matchId);
+    if (!clients.has(playerId)) {
+      clients.set(playerId, { ackedSequence: null, history: new Map() });
+    }
+    return clients.get(playerId);
+  }
+
+  /**
+   * Record a client's entities for this sequence and diff them against its acknowledged baseline
+   * entities: { [entityId]: state }. Returns the snapshot body:
+   * full - { sequence, baseSequence: null, full: true, entities }
+   * delta - { sequence, baseSequence, full: false, changed: { [entityId]: changed fields }, removed: [entityId] }
+   */
+  buildSnapshot(matchId, playerId, sequence, entities) {
+    const client = this.getClient(matchId, playerId);
+    const baseline = client.ackedSequence !== null ? client.history.get(client.ackedSequence) : null;
+
+    client.history.set(sequence, entities);
+    while (client.history.size > this.SNAPSHOT_RULES.historySize) {
+      client.history.delete(client.history.keys().next().value);
+    }
+
+    if (!baseline) {
+      return { sequence, baseSequence: null, full: true, entities };
+    }
+
+    const changed = {};
+    for (const [entityId, state] of Object.entries(entities)) {
+      const fields = baseline[entityId] ? this.diffState(baseline[entityId], state) : state;
+      if (fields) changed[entityId] = fields;
+    }
+    const removed = Object.keys(baseline).filter(entityId => !entities[entityId]);
+
+    return { sequence, baseSequence: client.ackedSequence, full: false, changed, removed };
+  }
+
+  /**
+   * Top-level fields of state that differ from base; fields that went away come back as null
+   * Returns null when nothing changed
+   */
+  diffState(base, state) {
+    const fields = {};
+    for (const key of new Set([...Object.keys(base), ...Object.keys(state)])) {
+      if (JSON.stringify(base[key]) !== JSON.stringify(state[key])) {
+        fields[key] = state[key] === undefined ? null : state[key];
+      }
+    }
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  /**
+   * A client confirmed it holds a snapshot; it becomes the baseline for its next delta
+   * Stale or unknown sequences are ignored. Returns true if the baseline moved.
+   */
+  acknowledge(matchId, playerId, sequence) {
+    const client = this.clientsByMatch.get(matchId)?.get(playerId);
+    if (!client || !client.history.has(sequence) ||
+      (client.ackedSequence !== null && sequence <= client.ackedSequence)) {
+      return false;
+    }
+
+    client.ackedSequence = sequence;
+    for (const kept of client.history.keys()) {
+      if (kept < sequence) client.history.delete(kept);
+    }
+    return true;
+  }
+
+  /**
+   * Forget the client's baseline so its next snapshot is a full one
+   */
+  resetClient(matchId, playerId) {
+    const client = this.getClient(matchId, playerId);
+    client.ackedSequence = null;
+    client.history.clear();
+  }
+
+  recordSent(sentBytes, fullBytes, full) {
+    this.stats.snapshotsSent++;
+    if (full) {
+      this.stats.fullSnapshots++;
+    } else {
+      this.stats.deltaSnapshots++;
+    }
+    this.stats.bytesSent += sentBytes;
+    this.stats.fullSnapshotBytes += fullBytes;
+  }
+
+  getStats() {
+    const { bytesSent, fullSnapshotBytes } = this.stats;
+    return {
+      ...this.stats,
+      bytesSaved: fullSnapshotBytes - bytesSent,
+      compressionRatio: fullSnapshotBytes > 0 ? bytesSent / fullSnapshotBytes : 1
+    };
+  }
+
+  removePlayer(matchId, playerId) {
+    this.clientsByMatch.get(matchId)?.delete(playerId);
+  }
+
+  removeMatch(matchId) {
+    this.sequenceByMatch.delete(matchId);
+    this.clientsByMatch.delete(matchId);
+  }
+
+  cleanup() {
+    this.sequenceByMatch.clear();
+    this.clientsByMatch.clear();
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,203 @@
+const { ROOM_SIZE, distanceBetween } = require('./utils/position');
+const { createSeededRandom } = require('./utils/noise');
+
+/**
+ * TrapManager - server-side traps for the TRAP markers in generated rooms
+ * Traps are hidden from clients until a player's team detects them. Walking onto
+ * an armed trap springs it; a detected trap can be disarmed, which takes time and can fail.
+ */
+class TrapManager {
+  constructor() {
+    this.trapsByMatch = new Map(); // matchId -> Map<roomKey, Map<cellKey, Trap>>
+
+    // detectChance is rolled per validated move within detectRadius; disarmChance once per attempt
+    this.TRAP_TYPES = {
+      spikes: { type: 'spikes', name: 'Spike Trap', damage: 18, statusEffect: null, alertsEnemies: false, detectChance: 0.35, disarmChance: 0.75 },
+      poison: { type: 'poison', name: 'Poison Needle', damage: 6, statusEffect: 'poison', alertsEnemies: false, detectChance: 0.3, disarmChance: 0.6 },
+      snare: { type: 'snare', name: 'Snare', damage: 4, statusEffect: 'snared', alertsEnemies: false, detectChance: 0.4, disarmChance: 0.8 },
+      alarm: { type: 'alarm', name: 'Alarm Tripwire', damage: 0, statusEffect: null, alertsEnemies: true, detectChance: 0.45, disarmChance: 0.85 }
+    };
+
+    // Weighted trap mix per room type
+    this.ROOM_TRAPS = {
+      dungeon: { spikes: 4, poison: 3, alarm: 3 },
+      cave: { spikes: 3, snare: 3, alarm: 1 },
+      swamp: { poison: 4, snare: 3 },
+      ruins: { spikes: 3, alarm: 3, poison: 2 },
+      default: { spikes: 1 }
+    };
+
+    this.TRAP_RULES = {
+      detectRadius: 2, // room cells
+      disarmRange: 1.5, // room cells
+      disarmDuration: 3000 // ms
+    };
+
+    console.log('TrapManager initialized');
+  }
+
+  /**
+   * Arm a room's TRAP markers the first time anything asks about the room
+   * The trap type is picked from the room seed so every match with the same seed agrees
+   */
+  getRoomTraps(matchId, roomData) {
+    if (!this.trapsByMatch.has(matchId)) {
+      this.trapsByMatch.set(matchId, new Map());
+    }
+    const rooms = this.trapsByMatch.get(matchId);
+    const roomKey = `${roomData.worldPos.x},${roomData.worldPos.y}`;
+
+    if (!rooms.has(roomKey)) {
+      const weights = Object.entries(this.ROOM_TRAPS[roomData.roomType] || this.ROOM_TRAPS.default);
+      const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+      const random = createSeededRandom(roomData.seed + 1); // +1 so traps don't mirror the monster rolls
+      const traps = new Map();
+
+      for (let y = 0; y < ROOM_SIZE; y++) {
+        for (let x = 0; x < ROOM_SIZE; x++) {
+          if (roomData.entities[y]?.[x] !== 'TRAP') continue;
+
+          let roll = random() * totalWeight;
+          const [type] = weights.find(([, weight]) => (roll -= weight) < 0) || weights[weights.length - 1];
+
+          traps.set(`${x},${y}`, {
+            trapId: `trap:${roomKey}:${x},${y}`,
+            matchId,
+            roomKey,
+            type,
+            position: { world: { ...roomData.worldPos }, room: { x, y } },
+            state: 'ARMED', // ARMED, TRIGGERED or DISARMED
+            detectedBy: new Set(), // team keys (teamId, or playerId for solo players)
+            disarm: null
+          });
+        }
+      }
+
+      rooms.set(roomKey, traps);
+    }
+
+    return [...rooms.get(roomKey).values()];
+  }
+
+  getTrapAt(matchId, roomData, cell) {
+    this.getRoomTraps(matchId, roomData);
+    return this.trapsByMatch.get(matchId).get(`${roomData.worldPos.x},${roomData.worldPos.y}`).get(`${cell.x},${cell.y}`) || null;
+  }
+
+  getTrapType(trap) {
+    return this.TRAP_TYPES[trap.type];
+  }
+
+  /**
+   * Sprung and disarmed traps are common knowledge; armed ones only to the team that found them
+   */
+  isRevealedTo(trap, teamKey) {
+    return trap.state !== 'ARMED' || trap.detectedBy.has(teamKey);
+  }
+
+  /**
+   * Roll detection for armed traps near a position the player just moved to
+   * Returns the traps this team found
+   */
+  detectTraps(matchId, roomData, position, teamKey, random = Math.random) {
+    const found = [];
+
+    for (const trap of this.getRoomTraps(matchId, roomData)) {
+      if (this.isRevealedTo(trap, teamKey) || distanceBetween(position, trap.position) > this.TRAP_RULES.detectRadius) continue;
+
+      if (random() < this.getTrapType(trap).detectChance) {
+        trap.detectedBy.add(teamKey);
+        found.push(trap);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * The room's entity grid as one team may see it: undetected traps look like empty floor
+   */
+  maskEntities(matchId, roomData, teamKey) {
+    const hidden = new Set(this.getRoomTraps(matchId, roomData)
+      .filter(trap => !this.isRevealedTo(trap, teamKey))
+      .map(trap => `${trap.position.room.x},${trap.position.room.y}`));
+
+    return roomData.entities.map((row, y) => row.map((entity, x) => (hidden.has(`${x},${y}`) ? 'NONE' : entity)));
+  }
+
+  getVisibleTraps(matchId, roomData, teamKey) {
+    return this.getRoomTraps(matchId, roomData)
+      .filter(trap => this.isRevealedTo(trap, teamKey))
+      .map(trap => this.describeTrap(trap));
+  }
+
+  /**
+   * Traps are single-use: springing one spends it
+   */
+  springTrap(trap) {
+    trap.state = 'TRIGGERED';
+    trap.disarm = null;
+    return this.getTrapType(trap);
+  }
+
+  startDisarm(trap, playerId, timestamp) {
+    trap.disarm = {
+      playerId,
+      startedAt: timestamp,
+      completesAt: timestamp + this.TRAP_RULES.disarmDuration
+    };
+    return trap.disarm;
+  }
+
+  /**
+   * Resolve a finished disarm attempt; a failed attempt leaves the trap armed for the caller to spring
+   */
+  finishDisarm(trap, random = Math.random) {
+    trap.disarm = null;
+    if (random() >= this.getTrapType(trap).disarmChance) return false;
+
+    trap.state = 'DISARMED';
+    return true;
+  }
+
+  /**
+   * Armed traps in a match with a disarm attempt running
+   */
+  getDisarmsInProgress(matchId) {
+    const disarming = [];
+    for (const traps of this.trapsByMatch.get(matchId)?.values() || []) {
+      for (const trap of traps.values()) {
+        if (trap.state === 'ARMED' && trap.disarm) disarming.push(trap);
+      }
+    }
+    return disarming;
+  }
+
+  /**
+   * Client-facing trap state
+   */
+  describeTrap(trap) {
+    const trapType = this.getTrapType(trap);
+    return {
+      trapId: trap.trapId,
+      type: trap.type,
+      name: trapType.name,
+      state: trap.state,
+      position: {
+        world: { ...trap.position.world },
+        room: { ...trap.position.room }
+      },
+      disarmingBy: trap.disarm ? trap.disarm.playerId : null
+    };
+  }
+
+  removeMatch(matchId) {
+    this.trapsByMatch.delete(matchId);
+  }
+
+  cleanup() {
+    this.trapsByMatch.clear();
+  }
+}
+
+module.exports = TrapManager;
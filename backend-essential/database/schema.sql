@@ -95,6 +95,26 @@ CREATE TABLE rate_limits (
     UNIQUE(identifier, action, window_start)
 );
 
+-- Parties - friends queueing together as one team
+CREATE TABLE parties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    leader_id UUID NOT NULL REFERENCES users(id),
+    status VARCHAR(20) DEFAULT 'ACTIVE', -- ACTIVE, DISBANDED
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE party_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    party_id UUID NOT NULL REFERENCES parties(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'INVITED', -- INVITED, JOINED
+    invited_by UUID REFERENCES users(id),
+    invited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    joined_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(party_id, user_id)
+);
+
 -- Matchmaking queue
 CREATE TABLE matchmaking_queue (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -105,13 +125,16 @@ CREATE TABLE matchmaking_queue (
     queue_time TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     estimated_wait INTEGER, -- seconds
     preferences JSONB,
-    status VARCHAR(20) DEFAULT 'WAITING' -- WAITING, MATCHED, CANCELLED
+    status VARCHAR(20) DEFAULT 'WAITING', -- WAITING, MATCHED, CANCELLED, COMPLETED
+    match_code VARCHAR(20), -- set by the matchmaker; clients join /game?match=<code>
+    matched_at TIMESTAMP WITH TIME ZONE,
+    party_id UUID REFERENCES parties(id) -- members of a queued party are matched as one unit
 );
 
 -- Active matches
 CREATE TABLE matches (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    match_code VARCHAR(20) UNIQUE NOT NULL,
+    match_code VARCHAR(20) UNIQUE NOT NULL, -- one row per match: M... from the matchmaker, G... for any other match
     game_mode VARCHAR(50) NOT NULL,
     map_name VARCHAR(50) NOT NULL,
     region VARCHAR(10) NOT NULL,
@@ -138,6 +161,8 @@ CREATE TABLE match_participants (
     damage_dealt INTEGER DEFAULT 0,
     survival_time INTEGER, -- seconds
     team_id INTEGER,
+    rating_before INTEGER, -- skill_rating going in; null for unrated matches
+    rating_after INTEGER,
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     left_at TIMESTAMP WITH TIME ZONE,
     UNIQUE(match_id, user_id)
@@ -180,6 +205,11 @@ CREATE INDEX idx_rate_limits_expires ON rate_limits(expires_at);
 CREATE INDEX idx_matchmaking_queue_mode ON matchmaking_queue(game_mode, region);
 CREATE INDEX idx_matchmaking_queue_skill ON matchmaking_queue(skill_rating);
 CREATE INDEX idx_matchmaking_queue_time ON matchmaking_queue(queue_time);
+CREATE INDEX idx_matchmaking_queue_status ON matchmaking_queue(status, queue_time);
+
+CREATE INDEX idx_parties_leader ON parties(leader_id);
+CREATE INDEX idx_party_members_user ON party_members(user_id, status);
+CREATE INDEX idx_matchmaking_queue_party ON matchmaking_queue(party_id);
 
 CREATE INDEX idx_matches_status ON matches(status);
 CREATE INDEX idx_matches_region ON matches(region);
@@ -208,6 +238,9 @@ CREATE TRIGGER update_player_profiles_updated_at BEFORE UPDATE ON player_profile
 CREATE TRIGGER update_oauth_accounts_updated_at BEFORE UPDATE ON oauth_accounts
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_parties_updated_at BEFORE UPDATE ON parties
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Default admin user (for testing)
 INSERT INTO users (email, username, password_hash, salt, is_verified) VALUES 
 ('admin@lastaegis.com', 'admin', '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewsG7RLzNZJMtTaq', 'admin_salt', true);
@@ -2,6 +2,27 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const ServerAuthority = require('./ServerAuthority');
 const MatchManager = require('./MatchManager');
+const EnemyManager = require('./EnemyManager');
+const TrapManager = require('./TrapManager');
+const NpcManager = require('./NpcManager');
+const InterestManager = require('./InterestManager');
+const SnapshotManager = require('./SnapshotManager');
+const { authenticateSocketRequest } = require('./middleware/auth');
+const { clonePosition, isValidPosition, getRoomCell, traceGridLine, ROOM_SIZE } = require('./utils/position');
+
+// Application close codes (4000-4999) sent when a handshake is rejected
+const WS_CLOSE_CODES = {
+  TOKEN_REQUIRED: 4001,
+  TOKEN_INVALID: 4002,
+  TOKEN_EXPIRED: 4003,
+  SESSION_INVALID: 4004, // Session revoked, logged out or expired server-side
+  ACCOUNT_INACTIVE: 4005,
+  SESSION_REPLACED: 4009,
+  PLAYER_ELIMINATED: 4010, // Dead or eliminated as a no-show - can't rejoin the match
+  NOT_ON_ROSTER: 4011, // Matchmade match the player wasn't placed in
+  MATCH_IN_PROGRESS: 4012, // Match already started - no new players
+  AUTH_ERROR: 1011
+};
 
 /**
  * GameServer handles real-time game mechanics using WebSocket connections
@@ -18,6 +39,21 @@ class GameServer {
     // Match Management - handles match lifecycle and server-side map generation
     this.matchManager = new MatchManager();
 
+    // Monsters in generated rooms (PvE)
+    this.enemyManager = new EnemyManager();
+
+    // Hidden traps in generated rooms
+    this.trapManager = new TrapManager();
+
+    // Merchants, priests and wizards in settlements
+    this.npcManager = new NpcManager();
+
+    // Who can see whom - routes position-bearing events
+    this.interestManager = new InterestManager();
+
+    // Per-client state snapshots, sent as deltas against the last one acknowledged
+    this.snapshotManager = new SnapshotManager();
+
     // Game state (server-authoritative)
     this.matches = new Map(); // matchId -> MatchState (legacy - moving to MatchManager)
     this.players = new Map(); // playerId -> PlayerConnection
@@ -26,14 +62,25 @@ class GameServer {
     // Tick system timers
     this.autoAttackInterval = null;
     this.skillInterval = null;
+    this.snapshotInterval = null;
     this.cleanupInterval = null;
     this.isRunning = false;
 
     // Tick configuration
     this.AUTOATTACK_INTERVAL = 1500; // 1.5 seconds
     this.SKILL_INTERVAL = 3000; // 3.0 seconds
+    this.SNAPSHOT_INTERVAL = 200; // 5 state snapshots a second
     this.CLEANUP_INTERVAL = 30000; // 30 seconds cleanup
 
+    // Action queue configuration
+    this.MAX_QUEUED_ACTIONS = 5; // per player
+    this.MAX_PENDING_MESSAGES = 20; // held per socket while its handshake is authenticated
+    this.ACTION_TYPES = ['ATTACK_TARGET', 'CAST_SKILL', 'USE_ITEM', 'MOVE_TO'];
+
+    // Team communication
+    this.MAX_CHAT_LENGTH = 200;
+    this.PING_KINDS = ['LOCATION', 'ENEMY', 'ITEM', 'DANGER'];
+
     console.log('GameServer initialized with ServerAuthority anti-cheat system');
   }
 
@@ -53,13 +100,17 @@ class GameServer {
     });
 
     this.wss.on('connection', (ws, req) => {
-      this.handleNewConnection(ws, req);
+      this.handleNewConnection(ws, req).catch((error) => {
+        console.error('Failed to establish WebSocket connection:', error);
+        ws.close(WS_CLOSE_CODES.AUTH_ERROR, 'AUTH_ERROR');
+      });
     });
 
     // Start tick system
     this.startTickSystem();
     this.startCleanupSystem();
     this.isRunning = true;
+    this.startTime = Date.now();
 
     console.log('GameServer started with WebSocket on /game and ServerAuthority');
   }
@@ -82,6 +133,11 @@ class GameServer {
       this.wss = null;
     }
 
+    this.enemyManager.cleanup();
+    this.trapManager.cleanup();
+    this.npcManager.cleanup();
+    this.interestManager.cleanup();
+    this.snapshotManager.cleanup();
     this.matches.clear();
     this.players.clear();
     this.playersByMatch.clear();
@@ -92,27 +148,65 @@ class GameServer {
 
   /**
    * Handle new WebSocket connection
+   * The handshake must carry a valid access token backed by an active session;
+   * the player identity comes from the token, never from query params.
    */
-  handleNewConnection(ws, req) {
+  async handleNewConnection(ws, req) {
     console.log('New WebSocket connection');
 
+    // Listen before the auth round-trip so messages sent right after open aren't lost;
+    // they are replayed once the player is set up
+    const pendingMessages = [];
+    const queueMessage = (data) => {
+      if (pendingMessages.length < this.MAX_PENDING_MESSAGES) {
+        pendingMessages.push(data);
+      }
+    };
+    ws.on('message', queueMessage);
+
+    const auth = await authenticateSocketRequest(req);
+    ws.removeListener('message', queueMessage);
+
+    if (ws.readyState !== WebSocket.OPEN) {
+      console.warn('WebSocket closed before authentication finished');
+      return;
+    }
+
+    if (!auth.user) {
+      const closeCode = WS_CLOSE_CODES[auth.code] || WS_CLOSE_CODES.AUTH_ERROR;
+      console.warn(`Rejected WebSocket handshake: ${auth.code} (${closeCode})`);
+      ws.close(closeCode, auth.code);
+      return;
+    }
+
     // Parse connection parameters
     const url = new URL(req.url, `http://${req.headers.host}`);
     const matchId = url.searchParams.get('match') || 'lobby';
-    // const token = url.searchParams.get('token') || 'guest_token'; // Future: auth validation
-    const playerId = url.searchParams.get('player') || this.generatePlayerId();
-    const username = url.searchParams.get('username') || `Player_${playerId.slice(-4)}`;
+    const playerId = auth.user.id;
+    const username = auth.user.username;
 
     console.log(`Player connection: ${username} (${playerId}) joining ${matchId}`);
 
-    // TODO: Validate token with main authentication system
-    // For now, accept all connections with valid parameters
+    const refusal = this.matchManager.getJoinRefusal(matchId, playerId);
+    if (refusal) {
+      console.warn(`Refused ${playerId} joining ${matchId}: ${refusal}`);
+      ws.close(WS_CLOSE_CODES[refusal], refusal);
+      return;
+    }
+
+    // Only one live socket per player - replace any previous connection
+    const existingConnection = this.players.get(playerId);
+    if (existingConnection) {
+      existingConnection.ws.close(WS_CLOSE_CODES.SESSION_REPLACED, 'SESSION_REPLACED');
+      this.handlePlayerDisconnection(playerId);
+    }
 
     // Create enhanced player connection with status tracking
     const playerConnection = {
       ws,
       playerId,
       username,
+      sessionId: auth.user.session_id,
       matchId,
       connectedAt: new Date(),
       lastPing: Date.now(),
@@ -126,6 +220,8 @@ class GameServer {
         },
         health: 100,
         maxHealth: 100,
+        mana: 100,
+        maxMana: 100,
         inCombat: false,
         ready: false,
         alive: true,
@@ -134,10 +230,19 @@ class GameServer {
           defense: 5,
           speed: 5
         },
+        teamId: null, // duo/squad team from matchmaking; null in solo modes
+        downed: false, // at zero health waiting for a teammate to revive
         lastAttackTime: 0,
+        targetId: null,
+        pendingCast: null, // resolved on the next skill tick
+        skillCooldowns: {}, // skillId -> skill tick when ready again
+        statusEffects: [],
         lastMoveTime: Date.now(),
         lastValidPosition: { world: { x: 0, y: 0 }, room: { x: 3, y: 4 } },
         kills: 0,
+        gold: this.npcManager.NPC_RULES.startingGold, // in-match currency, spent at NPCs
+        portalChannel: null, // { portal, destination, startedAt, completesAt } while standing on a portal
+        portalCooldownUntil: 0,
         lastCombatTime: 0
       }
     };
@@ -154,13 +259,42 @@ class GameServer {
     if (!this.matchManager.getMatchState(matchId)) {
       this.createNewMatch(matchId, [{ playerId, username }]);
     } else {
-      // Add player to existing match
-      this.matchManager.updatePlayerPosition(matchId, playerId, playerConnection.gameState.position);
+      // Newcomers only get this far for an open match that hasn't started (getJoinRefusal)
+      this.matchManager.addPlayer(matchId, { playerId, username });
+
+      // Tick state goes when a match empties out; bring it back for whoever rejoins
+      if (!this.matches.has(matchId)) {
+        this.initializeMatch(matchId);
+        if (this.matchManager.isMatchActive(matchId)) {
+          this.matches.get(matchId).status = 'ACTIVE';
+        }
+      }
+    }
+
+    const everyoneConnected = this.matchManager.markConnected(matchId, playerId);
+    if (everyoneConnected && this.matchManager.getMatchState(matchId).status === 'STARTING') {
+      this.startMatch(matchId);
     }
 
+    // Teams are fixed when the match is formed
+    const trackedPlayer = this.matchManager.getMatchState(matchId)?.players.get(playerId);
+    playerConnection.gameState.teamId = trackedPlayer?.teamId || null;
+
+    // Everyone enters at the spawn town generated for this match's seed; a rejoining
+    // player comes back as and where they left
+    const spawnPosition = trackedPlayer?.session
+      ? this.restorePlayerSession(playerConnection, trackedPlayer)
+      : this.matchManager.getSpawnPosition(matchId);
+    playerConnection.gameState.position = spawnPosition;
+    playerConnection.gameState.lastValidPosition = clonePosition(spawnPosition);
+    this.matchManager.updatePlayerPosition(matchId, playerId, clonePosition(spawnPosition));
+
     // Setup connection handlers
     this.setupConnectionHandlers(playerConnection);
 
+    // Subscriptions first so the player list below only reveals the players in view
+    this.refreshInterest(playerConnection, { skipSelf: true });
+
     // Send connection confirmation with player list and map data
     const matchState = this.matchManager.getMatchState(matchId);
     this.sendToPlayer(playerId, {
@@ -168,18 +302,33 @@ class GameServer {
       matchId,
       playerId,
       username,
+      teamId: playerConnection.gameState.teamId,
+      gold: playerConnection.gameState.gold,
       timestamp: Date.now(),
-      connectedPlayers: this.getConnectedPlayersList(matchId),
+      connectedPlayers: this.getConnectedPlayersList(matchId, playerId),
+      statSheet: this.serverAuthority.describeStatSheet(playerConnection),
       mapData: matchState ? {
         seed: matchState.map.seed,
-        landmarks: Array.from(matchState.map.landmarks.values())
+        bounds: matchState.map.bounds,
+        spawn: matchState.map.spawn,
+        gameMode: matchState.gameMode,
+        zone: this.matchManager.getZoneState(matchId),
+        landmarks: Array.from(matchState.map.landmarks.values()),
+        portalNetworks: matchState.map.portalNetworks
       } : null
     });
 
+    // Rooms are streamed one at a time, starting with the one the player spawned in
+    this.sendRoomData(playerConnection, spawnPosition.world.x, spawnPosition.world.y);
+
     // Update player status and notify others
     this.updatePlayerStatus(playerId, 'connected');
     this.broadcastPlayerJoined(playerConnection);
 
+    for (const data of pendingMessages) {
+      this.handleRawMessage(playerId, data);
+    }
+
     console.log(`Player ${username} (${playerId}) connected to match ${matchId}`);
   }
 
@@ -190,21 +339,21 @@ class GameServer {
     const { ws, playerId, matchId: _matchId } = playerConnection;
 
     ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        this.handlePlayerMessage(playerId, message);
-      } catch (error) {
-        console.error(`Invalid message from player ${playerId}:`, error);
-      }
+      this.handleRawMessage(playerId, data);
     });
 
     ws.on('close', () => {
-      this.handlePlayerDisconnection(playerId);
+      // Ignore sockets that were already replaced by a newer connection
+      if (this.players.get(playerId) === playerConnection) {
+        this.handlePlayerDisconnection(playerId);
+      }
     });
 
     ws.on('error', (error) => {
       console.error(`WebSocket error for player ${playerId}:`, error);
-      this.handlePlayerDisconnection(playerId);
+      if (this.players.get(playerId) === playerConnection) {
+        this.handlePlayerDisconnection(playerId);
+      }
     });
 
     ws.on('pong', () => {
@@ -212,6 +361,18 @@ class GameServer {
     });
   }
 
+  /**
+   * Parse a frame from the player's socket and dispatch it
+   */
+  handleRawMessage(playerId, data) {
+    try {
+      const message = JSON.parse(data.toString());
+      this.handlePlayerMessage(playerId, message);
+    } catch (error) {
+      console.error(`Invalid message from player ${playerId}:`, error);
+    }
+  }
+
   /**
    * Handle incoming message from player
    */
@@ -243,10 +404,22 @@ class GameServer {
       this.handleItemAction(playerId, message);
       break;
 
+    case 'CAST_SKILL':
+      this.handleSkillCast(playerId, message);
+      break;
+
     case 'QUEUE_ACTION':
       this.handleActionQueue(playerId, matchId, message.action);
       break;
 
+    case 'CANCEL_ACTION':
+      this.handleCancelAction(playerId, matchId, message.actionId);
+      break;
+
+    case 'REORDER_ACTION':
+      this.handleReorderAction(playerId, matchId, message.actionId, message.slot);
+      break;
+
     case 'PLAYER_READY':
       this.handlePlayerReady(playerId, matchId);
       break;
@@ -255,6 +428,42 @@ class GameServer {
       this.handleStatusUpdate(playerId, message);
       break;
 
+    case 'OPEN_CHEST':
+      this.handleOpenChest(playerId, message);
+      break;
+
+    case 'REVIVE_REQUEST':
+      this.handleReviveRequest(playerId, message);
+      break;
+
+    case 'CHAT_MESSAGE':
+      this.handleChatMessage(playerId, message);
+      break;
+
+    case 'TEAM_PING':
+      this.handleTeamPing(playerId, message);
+      break;
+
+    case 'DISARM_TRAP':
+      this.handleDisarmTrap(playerId, message);
+      break;
+
+    case 'NPC_INTERACT':
+      this.handleNpcInteract(playerId, message);
+      break;
+
+    case 'ROOM_TRANSITION':
+      this.handleRoomTransition(playerId, message);
+      break;
+
+    case 'SNAPSHOT_ACK':
+      this.snapshotManager.acknowledge(matchId, playerId, message.sequence);
+      break;
+
+    case 'SNAPSHOT_REQUEST':
+      this.handleSnapshotRequest(playerId);
+      break;
+
     default:
       console.warn(`Unknown message type from player ${playerId}:`, message.type);
     }
@@ -269,22 +478,62 @@ class GameServer {
 
     const { matchId } = playerConnection;
 
+    // A living player can come back to a running match
+    this.matchManager.savePlayerSession(matchId, playerId, playerConnection.gameState);
+
     // Remove from collections
     this.players.delete(playerId);
+    this.matches.get(matchId)?.actionQueues.delete(playerId);
+    this.interestManager.removePlayer(matchId, playerId);
+    this.snapshotManager.removePlayer(matchId, playerId);
 
     if (this.playersByMatch.has(matchId)) {
       this.playersByMatch.get(matchId).delete(playerId);
 
-      // Clean up empty match
+      // Clean up empty match - a running one keeps ticking until it ends, so players can rejoin
       if (this.playersByMatch.get(matchId).size === 0) {
         this.playersByMatch.delete(matchId);
-        this.matches.delete(matchId);
+
+        const status = this.matchManager.getMatchState(matchId)?.status;
+        if (status !== 'STARTING' && status !== 'ACTIVE') {
+          this.removeMatchState(matchId);
+        }
       }
     }
 
     console.log(`Player ${playerId} disconnected from match ${matchId}`);
   }
 
+  /**
+   * Put a rejoining player's saved in-match state back on their connection
+   * Returns the position they left from
+   */
+  restorePlayerSession(playerConnection, trackedPlayer) {
+    const { session } = trackedPlayer;
+    Object.assign(playerConnection.gameState, {
+      ...session,
+      statusEffects: session.statusEffects.map(effect => ({ ...effect })),
+      skillCooldowns: { ...session.skillCooldowns }
+    });
+    trackedPlayer.session = null;
+
+    console.log(`Player ${playerConnection.playerId} rejoined with ${session.health} health`);
+    return clonePosition(trackedPlayer.position);
+  }
+
+  /**
+   * Drop everything the game server keeps for a match
+   */
+  removeMatchState(matchId) {
+    this.matches.delete(matchId);
+    this.enemyManager.removeMatch(matchId);
+    this.trapManager.removeMatch(matchId);
+    this.npcManager.removeMatch(matchId);
+    this.interestManager.removeMatch(matchId);
+    this.snapshotManager.removeMatch(matchId);
+    this.serverAuthority.removeMatchItems(matchId);
+  }
+
   /**
    * Initialize a new match
    */
@@ -294,7 +543,9 @@ class GameServer {
       status: 'WAITING',
       players: new Map(), // playerId -> PlayerState
       actionQueues: new Map(), // playerId -> ActionQueue
+      actionSequence: 0, // match-wide enqueue counter, orders execution
       roundNumber: 0,
+      skillTick: 0,
       createdAt: Date.now()
     };
 
@@ -305,23 +556,67 @@ class GameServer {
   /**
    * Create a new match using MatchManager with server-side map generation
    */
-  createNewMatch(matchId, players) {
-    const matchState = this.matchManager.createMatch(players);
+  createNewMatch(matchId, players, options = {}) {
+    // Use the id clients connected with so both managers agree on the match
+    const matchState = this.matchManager.createMatch(players, { ...options, matchId });
 
-    // Override matchId if provided (for testing/specific cases)
-    if (matchId !== matchState.matchId) {
-      console.log(`Creating match with specific ID: ${matchId} (generated: ${matchState.matchId})`);
-      // We'll use the MatchManager's generated ID and map it to the requested ID
-      // This ensures consistent map generation while allowing custom match IDs
+    // Tick bookkeeping (round counter, action queues) lives in the legacy match state
+    this.initializeMatch(matchId);
+
+    // Matchmade rosters start once everyone has connected, or at the connect deadline
+    if (options.awaitPlayers) {
+      matchState.connectTimer = setTimeout(() => {
+        this.handleConnectDeadline(matchId);
+      }, this.matchManager.CONNECT_DEADLINE);
+
+      console.log(`Created match ${matchId} - waiting for ${players.length} players to connect`);
+      return matchState;
     }
 
-    // Start the match
-    this.matchManager.startMatch(matchState.matchId);
+    this.startMatch(matchId);
 
     console.log(`Created and started match ${matchState.matchId} with server-generated map (seed: ${matchState.map.seed})`);
     return matchState;
   }
 
+  /**
+   * Start the match clock (zone, time limit) and its ticks
+   */
+  startMatch(matchId) {
+    this.matchManager.startMatch(matchId);
+    this.matches.get(matchId).status = 'ACTIVE';
+  }
+
+  /**
+   * Connect deadline for a matchmade match: start with whoever made it and
+   * eliminate the rest
+   */
+  handleConnectDeadline(matchId) {
+    const matchState = this.matchManager.getMatchState(matchId);
+    if (!matchState || matchState.status === 'ENDED') return;
+
+    if (!this.matches.has(matchId)) {
+      this.initializeMatch(matchId);
+    }
+    if (matchState.status === 'STARTING') {
+      this.startMatch(matchId);
+    }
+
+    for (const playerState of this.matchManager.eliminateNoShows(matchId)) {
+      this.broadcastToMatch(matchId, {
+        type: 'PLAYER_ELIMINATED',
+        playerId: playerState.playerId,
+        reason: 'NO_SHOW',
+        placement: playerState.placement,
+        timestamp: Date.now()
+      });
+    }
+
+    if (!this.matchManager.isMatchActive(matchId)) {
+      this.handleMatchEnded(matchId);
+    }
+  }
+
   /**
    * Start the tick system
    */
@@ -336,7 +631,12 @@ class GameServer {
       this.processSkillTick();
     }, this.SKILL_INTERVAL);
 
-    console.log(`Tick system started - AutoAttack: ${this.AUTOATTACK_INTERVAL}ms, Skills: ${this.SKILL_INTERVAL}ms`);
+    // State snapshots replace per-move broadcasts
+    this.snapshotInterval = setInterval(() => {
+      this.processSnapshotTick();
+    }, this.SNAPSHOT_INTERVAL);
+
+    console.log(`Tick system started - AutoAttack: ${this.AUTOATTACK_INTERVAL}ms, Skills: ${this.SKILL_INTERVAL}ms, Snapshots: ${this.SNAPSHOT_INTERVAL}ms`);
   }
 
   /**
@@ -353,6 +653,11 @@ class GameServer {
       this.skillInterval = null;
     }
 
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+
     console.log('Tick system stopped');
   }
 
@@ -365,210 +670,2138 @@ class GameServer {
     for (const [matchId, matchState] of this.matches) {
       if (matchState.status !== 'ACTIVE') continue;
 
+      // MatchManager owns the match lifecycle (e.g. time limit)
+      if (!this.matchManager.isMatchActive(matchId)) {
+        this.handleMatchEnded(matchId);
+        continue;
+      }
+
       matchState.roundNumber++;
 
-      // Calculate autoattack results
-      const results = this.calculateAutoAttacks(matchId);
+      // Periodic effects (poison, regen) and expiries resolve first, then the zone, then bleed-out and revives,
+      // then trap disarms
+      const effectResults = this.processStatusEffects(matchId, timestamp);
+      const zoneResults = this.processZone(matchId, timestamp);
+      const downedResults = this.processDownedPlayers(matchId, timestamp);
+      const disarmResults = this.processTrapDisarms(matchId, timestamp);
+      this.processPortalChannels(matchId, timestamp);
+
+      // Queued actions run before autoattacks so a new target is hit this tick
+      this.processActionQueues(matchId, timestamp);
+
+      // Calculate autoattack results; monsters act after the players
+      const results = this.calculateAutoAttacks(matchId, timestamp);
+      const enemyResults = this.processEnemies(matchId, timestamp);
+      results.statusEffectTicks = effectResults.ticks;
+      results.zoneDamage = zoneResults.damage;
+      results.revives = downedResults.revives;
+      results.enemies = enemyResults.enemies;
+      results.enemyAttacks = enemyResults.attacks;
+      results.enemyStateChanges = enemyResults.stateChanges;
+      results.downs.unshift(...effectResults.downs, ...zoneResults.downs, ...disarmResults.downs);
+      results.downs.push(...enemyResults.downs);
+      results.deaths.unshift(...effectResults.deaths, ...zoneResults.deaths, ...downedResults.deaths, ...disarmResults.deaths);
+      results.deaths.push(...enemyResults.deaths);
+      results.playerUpdates = [effectResults, zoneResults, downedResults, disarmResults, results, enemyResults].reduce(
+        (merged, source) => this.mergePlayerUpdates(merged, source.playerUpdates), {}
+      );
+
+      // Each player gets the part of the tick they can see
+      for (const playerId of this.playersByMatch.get(matchId) || []) {
+        const playerConnection = this.players.get(playerId);
+        if (!playerConnection) continue;
+
+        this.sendToPlayer(playerId, {
+          type: 'AUTOATTACK_TICK',
+          matchId,
+          round: matchState.roundNumber,
+          timestamp,
+          results: this.filterTickResults(playerConnection, results)
+        });
+      }
 
-      // Broadcast tick to all players in match
-      this.broadcastToMatch(matchId, {
-        type: 'AUTOATTACK_TICK',
-        matchId,
-        round: matchState.roundNumber,
-        timestamp,
-        results
-      });
+      // Resolve downs and deaths after the tick so clients see the killing blow first
+      for (const down of results.downs) {
+        this.broadcastPlayerDowned(matchId, down.playerId, down.attackerId, timestamp);
+      }
+      for (const death of results.deaths) {
+        this.handlePlayerDeath(death.playerId, death.killerId, timestamp);
+      }
+      for (const revive of downedResults.revives) {
+        this.broadcastToMatch(matchId, { type: 'PLAYER_REVIVED', ...revive, timestamp });
+      }
+      for (const kill of results.enemyKills) {
+        this.broadcastToMatch(matchId, { type: 'ENEMY_KILLED', ...kill, timestamp });
+      }
     }
 
     console.log(`Processed autoattack tick for ${this.matches.size} matches`);
   }
 
   /**
-   * Process skill tick for all active matches
+   * The part of a tick's results one player may see: events involving the players
+   * in their view and the monsters in their own room
    */
-  processSkillTick() {
-    const timestamp = Date.now();
-
-    for (const [matchId, matchState] of this.matches) {
-      if (matchState.status !== 'ACTIVE') continue;
-
-      // Calculate skill/spell results
-      const results = this.calculateSkillsAndSpells(matchId);
-
-      // Broadcast tick to all players in match
-      this.broadcastToMatch(matchId, {
-        type: 'SKILL_TICK',
-        matchId,
-        round: matchState.roundNumber,
-        timestamp,
-        results
-      });
-    }
+  filterTickResults(playerConnection, results) {
+    const { playerId, matchId } = playerConnection;
+    const { world } = playerConnection.gameState.position;
+    const roomEnemyIds = new Set(
+      this.enemyManager.getRoomEnemies(matchId, `${world.x},${world.y}`).map(enemy => enemy.enemyId)
+    );
+    const sees = (id) => this.enemyManager.isEnemyId(id)
+      ? roomEnemyIds.has(id)
+      : this.interestManager.isSubscribed(matchId, playerId, id);
 
-    console.log(`Processed skill tick for ${this.matches.size} matches`);
+    return {
+      ...results,
+      combatResults: results.combatResults.filter(result => sees(result.attackerId) || sees(result.targetId)),
+      statusEffectTicks: results.statusEffectTicks.filter(tick => sees(tick.playerId)),
+      zoneDamage: results.zoneDamage.filter(damage => sees(damage.playerId)),
+      revives: results.revives.filter(revive => sees(revive.playerId) || sees(revive.reviverId)),
+      playerUpdates: Object.fromEntries(
+        Object.entries(results.playerUpdates).filter(([updatedId]) => sees(updatedId))
+      ),
+      enemies: results.enemies.filter(enemy => roomEnemyIds.has(enemy.enemyId)),
+      enemyAttacks: results.enemyAttacks.filter(attack => sees(attack.enemyId) || sees(attack.targetId)),
+      enemyStateChanges: results.enemyStateChanges.filter(change => sees(change.enemyId))
+    };
   }
 
   /**
-   * Calculate autoattack results for a match
+   * The part of a skill tick's results one player may see: casts by or on the players
+   * in their view, with only the targets they can see
    */
-  calculateAutoAttacks(matchId) {
-    // TODO: Implement actual combat logic
-    // For now, return mock results
+  filterSkillTickResults(playerConnection, results) {
+    const { playerId, matchId } = playerConnection;
+    const sees = (id) => this.interestManager.isSubscribed(matchId, playerId, id);
+    const visibleCasts = (casts) => casts
+      .filter(cast => sees(cast.casterId) || cast.targets?.some(target => sees(target.playerId)))
+      .map(cast => cast.targets ? { ...cast, targets: cast.targets.filter(target => sees(target.playerId)) } : cast);
+
     return {
-      combatResults: [],
-      playerUpdates: {},
-      message: 'AutoAttack round processed'
+      ...results,
+      skillResults: visibleCasts(results.skillResults),
+      spellResults: visibleCasts(results.spellResults),
+      playerUpdates: Object.fromEntries(
+        Object.entries(results.playerUpdates).filter(([updatedId]) => sees(updatedId))
+      )
     };
   }
 
   /**
-   * Calculate skill and spell results for a match
+   * Send every player in an active match their state snapshot
+   * One sequence number per match per tick; each client gets a delta against the
+   * last snapshot it acknowledged
    */
-  calculateSkillsAndSpells(matchId) {
-    // TODO: Implement actual skill/spell logic
-    // For now, return mock results
-    return {
-      skillResults: [],
-      spellResults: [],
-      playerUpdates: {},
-      message: 'Skill/Spell round processed'
-    };
+  processSnapshotTick() {
+    for (const [matchId, matchState] of this.matches) {
+      if (matchState.status !== 'ACTIVE') continue;
+
+      const sequence = this.snapshotManager.nextSequence(matchId);
+      for (const playerId of this.playersByMatch.get(matchId) || []) {
+        const playerConnection = this.players.get(playerId);
+        if (playerConnection) {
+          this.sendSnapshot(playerConnection, sequence);
+        }
+      }
+    }
   }
 
   /**
-   * Handle action queuing from players
+   * Build, diff and send one client's snapshot, keeping count of the bytes deltas saved
    */
-  handleActionQueue(playerId, matchId, action) {
-    const matchState = this.matches.get(matchId);
-    if (!matchState) return;
-
-    // TODO: Implement action queuing logic
-    console.log(`Player ${playerId} queued action:`, action);
+  sendSnapshot(playerConnection, sequence) {
+    const { playerId, matchId } = playerConnection;
+    const entities = this.buildSnapshotEntities(playerConnection);
+    const snapshot = this.snapshotManager.buildSnapshot(matchId, playerId, sequence, entities);
+    const message = { type: 'STATE_SNAPSHOT', matchId, ...snapshot, timestamp: Date.now() };
+
+    const sentBytes = Buffer.byteLength(JSON.stringify(message));
+    const fullBytes = snapshot.full ? sentBytes : Buffer.byteLength(JSON.stringify({
+      type: 'STATE_SNAPSHOT', matchId, sequence, baseSequence: null, full: true, entities, timestamp: message.timestamp
+    }));
+    this.snapshotManager.recordSent(sentBytes, fullBytes, snapshot.full);
+
+    this.sendToPlayer(playerId, message);
   }
 
   /**
-   * Handle player ready status
+   * Authoritative state one client may see: itself, the players in its view
+   * and the monsters in its room, keyed by id
    */
-  handlePlayerReady(playerId, matchId) {
-    const matchState = this.matches.get(matchId);
-    if (!matchState) return;
+  buildSnapshotEntities(playerConnection) {
+    const { playerId, matchId } = playerConnection;
+    const entities = {};
+
+    for (const otherId of this.playersByMatch.get(matchId) || []) {
+      const other = this.players.get(otherId);
+      if (!other || !this.interestManager.isSubscribed(matchId, playerId, otherId)) continue;
+
+      const { gameState } = other;
+      entities[otherId] = {
+        kind: 'player',
+        position: clonePosition(gameState.position),
+        health: gameState.health,
+        maxHealth: gameState.maxHealth,
+        mana: gameState.mana,
+        maxMana: gameState.maxMana,
+        alive: gameState.alive,
+        downed: gameState.downed,
+        targetId: gameState.targetId,
+        statusEffects: gameState.statusEffects.map(effect => effect.effectId)
+      };
+    }
 
-    const playerConnection = this.players.get(playerId);
-    if (playerConnection) {
-      playerConnection.gameState.ready = true;
-      this.updatePlayerStatus(playerId, 'ready');
+    const world = playerConnection.gameState.position.world;
+    for (const enemy of this.enemyManager.getRoomEnemies(matchId, `${world.x},${world.y}`)) {
+      const { enemyId, ...state } = this.enemyManager.describeEnemy(enemy);
+      entities[enemyId] = { kind: 'enemy', ...state };
     }
 
-    console.log(`Player ${playerId} is ready in match ${matchId}`);
+    return entities;
   }
 
   /**
-   * SERVER-AUTHORITATIVE: Handle movement request
+   * A client lost track of its state - send a full snapshot now and diff against it once acked
    */
-  handleMoveRequest(playerId, message) {
+  handleSnapshotRequest(playerId) {
     const playerConnection = this.players.get(playerId);
-    if (!playerConnection || !playerConnection.gameState.alive) return;
+    if (!playerConnection) return;
 
-    const fromPos = playerConnection.gameState.position;
-    const toPos = message.position;
-    const timestamp = message.timestamp || Date.now();
+    const { matchId } = playerConnection;
+    this.snapshotManager.resetClient(matchId, playerId);
+    this.sendSnapshot(playerConnection, this.snapshotManager.nextSequence(matchId));
+  }
 
-    // Validate movement with ServerAuthority
-    const validatedPosition = this.serverAuthority.validateMovement(
-      playerId, fromPos, toPos, timestamp, playerConnection
-    );
+  /**
+   * Process skill tick for all active matches
+   */
+  processSkillTick() {
+    const timestamp = Date.now();
 
-    if (validatedPosition) {
-      // Update server-side position
-      playerConnection.gameState.position = validatedPosition;
-      playerConnection.gameState.lastValidPosition = validatedPosition;
-      playerConnection.gameState.lastMoveTime = timestamp;
+    for (const [matchId, matchState] of this.matches) {
+      if (matchState.status !== 'ACTIVE') continue;
 
-      // Broadcast validated position to all players in match
-      this.broadcastToMatch(playerConnection.matchId, {
-        type: 'PLAYER_MOVED',
-        playerId,
-        position: validatedPosition,
-        timestamp: Date.now()
-      });
+      matchState.skillTick++;
 
-      console.log(`Player ${playerId} moved to:`, validatedPosition);
-    } else {
-      // Send correction to client
-      this.sendToPlayer(playerId, {
-        type: 'POSITION_CORRECTION',
-        position: playerConnection.gameState.lastValidPosition,
-        reason: 'Invalid movement detected',
-        timestamp: Date.now()
-      });
+      // Calculate skill/spell results
+      const results = this.calculateSkillsAndSpells(matchId, timestamp);
+
+      // Each player gets the part of the tick they can see
+      for (const playerId of this.playersByMatch.get(matchId) || []) {
+        const playerConnection = this.players.get(playerId);
+        if (!playerConnection) continue;
+
+        this.sendToPlayer(playerId, {
+          type: 'SKILL_TICK',
+          matchId,
+          round: matchState.roundNumber,
+          skillTick: matchState.skillTick,
+          timestamp,
+          results: this.filterSkillTickResults(playerConnection, results)
+        });
+      }
+
+      for (const down of results.downs) {
+        this.broadcastPlayerDowned(matchId, down.playerId, down.attackerId, timestamp);
+      }
+      for (const death of results.deaths) {
+        this.handlePlayerDeath(death.playerId, death.killerId, timestamp);
+      }
 
-      console.log(`Movement correction sent to player ${playerId}`);
+      for (const result of [...results.skillResults, ...results.spellResults]) {
+        for (const targetResult of result.targets || []) {
+          this.broadcastStatusEffectApplied(matchId, targetResult.playerId, targetResult.statusEffect);
+        }
+      }
     }
+
+    console.log(`Processed skill tick for ${this.matches.size} matches`);
   }
 
   /**
-   * SERVER-AUTHORITATIVE: Handle attack request
+   * Run status effects and passive regeneration for everyone in a match
+   * Expiries are broadcast straight away; periodic health changes ride on the tick
    */
-  handleAttackRequest(playerId, message) {
-    const playerConnection = this.players.get(playerId);
-    if (!playerConnection || !playerConnection.gameState.alive) return;
+  processStatusEffects(matchId, timestamp) {
+    const ticks = [];
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
 
-    const targetId = message.targetId;
-    const timestamp = message.timestamp || Date.now();
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) return { ticks, playerUpdates, downs, deaths };
 
-    // Validate and process combat with ServerAuthority
-    const combatResult = this.serverAuthority.validateCombatAction(
-      playerId, targetId, 'ATTACK', timestamp, {
-        players: this.players,
-        matches: this.matches
-      }
-    );
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      if (!player || !player.gameState.alive) continue;
 
-    if (combatResult) {
-      // Broadcast combat result to all players in match
-      this.broadcastToMatch(playerConnection.matchId, {
-        type: 'COMBAT_RESULT',
-        ...combatResult
-      });
+      const result = this.serverAuthority.processStatusEffects(player, timestamp);
+      const regenerated = player.gameState.health > 0 ?
+        this.serverAuthority.processHealthRegen(player, this.AUTOATTACK_INTERVAL) : 0;
 
-      // Check for player death
-      if (combatResult.isDead) {
-        this.handlePlayerDeath(targetId, playerId, timestamp);
+      if (result.ticks.length > 0 || regenerated > 0) {
+        const healthDelta = result.ticks.reduce((sum, tick) => sum + tick.healthDelta, regenerated);
+        if (result.ticks.length > 0) {
+          ticks.push({ playerId, ticks: result.ticks });
+        }
+        playerUpdates[playerId] = {
+          healthDelta,
+          health: player.gameState.health,
+          maxHealth: player.gameState.maxHealth,
+          alive: player.gameState.health > 0
+        };
+
+        if (player.gameState.health <= 0) {
+          // Self-inflicted effects (e.g. a consumable) have no killer
+          const killerId = result.killedBy && result.killedBy !== playerId ? result.killedBy : null;
+          this.downOrKill(player, killerId, timestamp, downs, deaths);
+          playerUpdates[playerId].health = player.gameState.health;
+          playerUpdates[playerId].alive = player.gameState.health > 0;
+          playerUpdates[playerId].downed = player.gameState.downed;
+        }
       }
 
-      console.log(`Combat: ${playerId} -> ${targetId}, damage: ${combatResult.damage}`);
-    } else {
-      // Send rejection to client
-      this.sendToPlayer(playerId, {
-        type: 'ATTACK_REJECTED',
-        reason: 'Invalid attack request',
-        timestamp: Date.now()
+      this.broadcastStatusEffectsExpired(player, result.expired, timestamp);
+    }
+
+    return { ticks, playerUpdates, downs, deaths };
+  }
+
+  /**
+   * Announce effects that ended on a player, and push their stat sheet
+   * if any of those effects modified stats
+   */
+  broadcastStatusEffectsExpired(player, effectIds, timestamp) {
+    for (const effectId of effectIds) {
+      this.broadcastToMatch(player.matchId, {
+        type: 'STATUS_EFFECT_EXPIRED',
+        playerId: player.playerId,
+        effectId,
+        statusEffects: this.serverAuthority.describeStatusEffects(player),
+        timestamp
       });
     }
+
+    if (effectIds.some(effectId => this.serverAuthority.statusEffectDatabase[effectId]?.modifiers)) {
+      this.sendStatSheet(player.playerId);
+    }
   }
 
   /**
-   * SERVER-AUTHORITATIVE: Handle item action
+   * Combine per-player tick updates; the later source has the current health
    */
-  handleItemAction(playerId, message) {
-    const playerConnection = this.players.get(playerId);
-    if (!playerConnection || !playerConnection.gameState.alive) return;
+  mergePlayerUpdates(earlier, later) {
+    const merged = { ...earlier };
 
-    const itemId = message.itemId;
-    const actionType = message.actionType; // 'PICKUP', 'USE', 'DROP'
-    const timestamp = message.timestamp || Date.now();
+    for (const [playerId, update] of Object.entries(later)) {
+      const previous = merged[playerId];
+      merged[playerId] = previous ? { ...update, healthDelta: previous.healthDelta + update.healthDelta } : update;
+    }
 
-    // Validate item action with ServerAuthority
-    const itemResult = this.serverAuthority.validateItemAction(
-      playerId, itemId, actionType, timestamp, {
-        players: this.players,
-        matches: this.matches
+    return merged;
+  }
+
+  /**
+   * Damage everyone outside the safe zone and announce phase changes
+   * Damage escalates with the phase and with each consecutive tick spent outside
+   */
+  processZone(matchId, timestamp) {
+    const damage = [];
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
+
+    const zone = this.matchManager.getZoneState(matchId, timestamp);
+    const matchState = this.matches.get(matchId);
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!zone || !matchState || !playerIds) return { damage, playerUpdates, downs, deaths };
+
+    const zoneKey = `${zone.phase}:${zone.status}`;
+    if (matchState.zoneKey !== zoneKey) {
+      matchState.zoneKey = zoneKey;
+      this.broadcastToMatch(matchId, { type: 'ZONE_UPDATE', matchId, zone, timestamp });
+    }
+
+    const rampPerTick = this.matchManager.ZONE_RULES.damageRampPerTick;
+
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      if (!player || !player.gameState.alive || player.gameState.health <= 0) continue;
+
+      if (!this.matchManager.isOutsideZone(zone.current, player.gameState.position)) {
+        player.gameState.zoneTicksOutside = 0;
+        continue;
+      }
+
+      const ticksOutside = player.gameState.zoneTicksOutside || 0;
+      player.gameState.zoneTicksOutside = ticksOutside + 1;
+
+      const oldHealth = player.gameState.health;
+      player.gameState.health = Math.max(0, oldHealth - (zone.damagePerTick + ticksOutside * rampPerTick));
+
+      const healthDelta = player.gameState.health - oldHealth;
+      damage.push({ playerId, damage: -healthDelta, ticksOutside: ticksOutside + 1 });
+
+      if (player.gameState.health <= 0) {
+        this.downOrKill(player, null, timestamp, downs, deaths);
+      }
+
+      playerUpdates[playerId] = {
+        healthDelta,
+        health: player.gameState.health,
+        maxHealth: player.gameState.maxHealth,
+        alive: player.gameState.health > 0,
+        downed: player.gameState.downed
+      };
+    }
+
+    return { damage, playerUpdates, downs, deaths };
+  }
+
+  /**
+   * Zero-health outcome outside direct combat: down the player if their team can revive them
+   */
+  downOrKill(player, killerId, timestamp, downs, deaths) {
+    const gameState = { players: this.players, matches: this.matches };
+    if (this.serverAuthority.tryDownPlayer(player, killerId, timestamp, gameState)) {
+      downs.push({ playerId: player.playerId, attackerId: killerId });
+    } else {
+      deaths.push({ playerId: player.playerId, killerId: player.gameState.downedBy || killerId });
+    }
+  }
+
+  /**
+   * Bleed out downed players and progress revives
+   * Bleeding pauses while a teammate is reviving; the reviver has to stay close and out of combat
+   */
+  processDownedPlayers(matchId, timestamp) {
+    const playerUpdates = {};
+    const revives = [];
+    const deaths = [];
+
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) return { playerUpdates, revives, deaths };
+
+    const rules = this.serverAuthority.teamRules;
+
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      if (!player || !player.gameState.alive || !player.gameState.downed || player.gameState.health <= 0) continue;
+
+      const state = player.gameState;
+      if (state.revive) {
+        const reviver = this.players.get(state.revive.reviverId);
+        const interrupted = !reviver || reviver.matchId !== matchId || !reviver.gameState.alive ||
+          reviver.gameState.downed || reviver.gameState.lastCombatTime > state.revive.startedAt ||
+          this.serverAuthority.calculateDistance(reviver.gameState.position, state.position) > rules.reviveRange;
+
+        if (interrupted) {
+          this.broadcastToTeam(matchId, state.teamId, {
+            type: 'REVIVE_CANCELLED',
+            playerId,
+            reviverId: state.revive.reviverId,
+            timestamp
+          });
+          state.revive = null;
+        } else if (timestamp >= state.revive.completesAt) {
+          const reviverId = state.revive.reviverId;
+          const oldHealth = state.health;
+          state.downed = false;
+          state.downedAt = null;
+          state.downedBy = null;
+          state.revive = null;
+          state.health = Math.min(rules.reviveHealth, state.maxHealth || this.serverAuthority.combatRules.maxHealth);
+
+          revives.push({ playerId, reviverId, health: state.health });
+          playerUpdates[playerId] = {
+            healthDelta: state.health - oldHealth,
+            health: state.health,
+            maxHealth: state.maxHealth,
+            alive: true,
+            downed: false
+          };
+          continue;
+        } else {
+          continue;
+        }
+      }
+
+      const oldHealth = state.health;
+      state.health = Math.max(0, oldHealth - rules.downedBleedPerTick);
+      playerUpdates[playerId] = {
+        healthDelta: state.health - oldHealth,
+        health: state.health,
+        maxHealth: state.maxHealth,
+        alive: state.health > 0,
+        downed: true
+      };
+
+      if (state.health <= 0) {
+        deaths.push({ playerId, killerId: state.downedBy });
+      }
+    }
+
+    return { playerUpdates, revives, deaths };
+  }
+
+  broadcastPlayerDowned(matchId, playerId, attackerId, timestamp) {
+    const player = this.players.get(playerId);
+    if (!player || !player.gameState.downed) return;
+
+    this.broadcastToMatch(matchId, {
+      type: 'PLAYER_DOWNED',
+      playerId,
+      attackerId,
+      teamId: player.gameState.teamId,
+      health: player.gameState.health,
+      timestamp
+    });
+  }
+
+  /**
+   * Tell the match a status effect landed (ignored re-applications are not news)
+   */
+  broadcastStatusEffectApplied(matchId, playerId, application) {
+    if (!application || application.action === 'ignored') return;
+
+    const player = this.players.get(playerId);
+    this.broadcastToMatch(matchId, {
+      type: 'STATUS_EFFECT_APPLIED',
+      playerId,
+      ...application,
+      statusEffects: player ? this.serverAuthority.describeStatusEffects(player) : [],
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Calculate autoattack results for a match
+   * Every in-combat player swings at their current target once per tick,
+   * subject to the same cooldown and range rules as manual attacks.
+   */
+  calculateAutoAttacks(matchId, timestamp = Date.now()) {
+    const combatResults = [];
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
+    const enemyKills = [];
+
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) {
+      return { combatResults, playerUpdates, downs, deaths, enemyKills, message: 'AutoAttack round processed' };
+    }
+
+    const rules = this.serverAuthority.combatRules;
+    const gameState = { players: this.players, matches: this.matches };
+
+    for (const attackerId of playerIds) {
+      const attacker = this.players.get(attackerId);
+      if (!attacker || !attacker.gameState.alive || attacker.gameState.health <= 0 || attacker.gameState.downed) continue;
+
+      const attackerState = attacker.gameState;
+
+      // Drop out of combat after the timeout
+      if (attackerState.inCombat && timestamp - attackerState.lastCombatTime > rules.combatTimeout) {
+        attackerState.inCombat = false;
+        attackerState.targetId = null;
+      }
+
+      if (!attackerState.inCombat || !attackerState.targetId) continue;
+
+      const targetId = attackerState.targetId;
+
+      if (this.enemyManager.isEnemyId(targetId)) {
+        const result = this.autoAttackEnemy(attacker, targetId, timestamp);
+        if (result) {
+          combatResults.push(result);
+          if (result.isDead) {
+            enemyKills.push({
+              enemyId: targetId,
+              enemyType: result.enemyType,
+              killerId: attackerId,
+              goldAwarded: result.goldAwarded
+            });
+          }
+        }
+        continue;
+      }
+
+      const target = this.players.get(targetId);
+      if (!target || target.matchId !== matchId || !target.gameState.alive || target.gameState.health <= 0 ||
+          (this.serverAuthority.teamRules.friendlyFire === 'OFF' && this.serverAuthority.areTeammates(attacker, target))) {
+        attackerState.targetId = null;
+        continue;
+      }
+
+      // Cooldown comes from attack speed (allow for interval jitter around the tick length)
+      const timeSinceLastAttack = timestamp - (attackerState.lastAttackTime || 0);
+      const attackCooldown = this.serverAuthority.getDerivedStats(attacker).attackCooldown;
+      if (timeSinceLastAttack < attackCooldown - rules.tickTolerance) continue;
+
+      // Out of range - keep the target but don't swing
+      const distance = this.serverAuthority.calculateDistance(attackerState.position, target.gameState.position);
+      if (distance > rules.maxAttackRange) continue;
+
+      const { damage, isCritical } = this.serverAuthority.calculateDamage(attacker, target, 'AUTOATTACK');
+      const result = this.serverAuthority.applyCombatDamage(attackerId, targetId, damage, timestamp, gameState);
+
+      this.matchManager.recordPlayerDamage(matchId, attackerId, targetId, damage);
+      combatResults.push({ type: 'AUTOATTACK', ...result, isCritical });
+
+      // Accumulate per-player health deltas for this tick
+      const update = playerUpdates[targetId] || { healthDelta: 0 };
+      update.healthDelta += result.newHealth - result.oldHealth;
+      update.health = result.newHealth;
+      update.maxHealth = target.gameState.maxHealth;
+      update.alive = !result.isDead;
+      update.downed = Boolean(target.gameState.downed);
+      playerUpdates[targetId] = update;
+
+      if (result.isDowned) {
+        downs.push({ playerId: targetId, attackerId });
+      }
+      if (result.isDead) {
+        deaths.push({ playerId: targetId, killerId: attackerId });
+      }
+    }
+
+    return {
+      combatResults,
+      playerUpdates,
+      downs,
+      deaths,
+      enemyKills,
+      message: 'AutoAttack round processed'
+    };
+  }
+
+  /**
+   * Autoattack swing at a monster - same cooldown and range rules as against players
+   */
+  autoAttackEnemy(attacker, enemyId, timestamp) {
+    const attackerState = attacker.gameState;
+    const enemy = this.enemyManager.getEnemy(attacker.matchId, enemyId);
+    if (!enemy) {
+      attackerState.targetId = null;
+      return null;
+    }
+
+    const rules = this.serverAuthority.combatRules;
+    const timeSinceLastAttack = timestamp - (attackerState.lastAttackTime || 0);
+    const attackCooldown = this.serverAuthority.getDerivedStats(attacker).attackCooldown;
+    if (timeSinceLastAttack < attackCooldown - rules.tickTolerance) return null;
+
+    const distance = this.serverAuthority.calculateDistance(attackerState.position, enemy.gameState.position);
+    if (distance > rules.maxAttackRange) return null;
+
+    const { damage, isCritical } = this.serverAuthority.calculateDamage(attacker, enemy, 'AUTOATTACK');
+    return { type: 'AUTOATTACK', ...this.strikeEnemy(attacker, enemy, damage, timestamp), isCritical };
+  }
+
+  /**
+   * Land a validated hit on a monster and credit the kill
+   */
+  strikeEnemy(attacker, enemy, damage, timestamp) {
+    attacker.gameState.lastAttackTime = timestamp;
+    attacker.gameState.inCombat = true;
+    attacker.gameState.lastCombatTime = timestamp;
+
+    const result = this.enemyManager.damageEnemy(enemy, attacker.playerId, damage);
+    let goldAwarded = 0;
+    if (result.isDead) {
+      attacker.gameState.targetId = null;
+      this.matchManager.recordMonsterKill(attacker.matchId, attacker.playerId, enemy.type);
+
+      goldAwarded = enemy.danger * this.enemyManager.ENEMY_RULES.goldPerDanger;
+      attacker.gameState.gold += goldAwarded;
+    }
+
+    return {
+      attackerId: attacker.playerId,
+      targetId: enemy.enemyId,
+      targetType: 'ENEMY',
+      enemyType: enemy.type,
+      damage,
+      oldHealth: result.oldHealth,
+      newHealth: result.newHealth,
+      isDead: result.isDead,
+      goldAwarded,
+      timestamp
+    };
+  }
+
+  /**
+   * Spawn the monsters of a room the first time a player reaches it
+   */
+  activateRoom(matchId, worldX, worldY) {
+    if (this.enemyManager.hasRoom(matchId, `${worldX},${worldY}`)) return;
+
+    const roomData = this.matchManager.getRoomData(matchId, worldX, worldY);
+    if (!roomData) return;
+
+    this.enemyManager.spawnRoomEnemies(matchId, roomData, this.matchManager.getAreaDanger(matchId, worldX, worldY));
+  }
+
+  /**
+   * Run monster AI for every room with a standing player in it and land the monsters' attacks
+   */
+  processEnemies(matchId, timestamp) {
+    const enemies = [];
+    const attacks = [];
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
+
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) return { enemies, attacks, stateChanges: [], playerUpdates, downs, deaths };
+
+    const standing = [];
+    const roomKeys = new Set();
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      if (!player || !player.gameState.alive || player.gameState.downed || player.gameState.health <= 0) continue;
+
+      const { world } = player.gameState.position;
+      this.activateRoom(matchId, world.x, world.y);
+      roomKeys.add(`${world.x},${world.y}`);
+      standing.push(player);
+    }
+
+    const { attacks: swings, stateChanges } = this.enemyManager.updateEnemies(matchId, roomKeys, standing);
+
+    for (const swing of swings) {
+      const enemy = this.enemyManager.getEnemy(matchId, swing.enemyId);
+      const target = this.players.get(swing.targetId);
+      // An earlier swing this tick may already have dropped the target
+      if (!enemy || !target || !target.gameState.alive || target.gameState.downed || target.gameState.health <= 0) continue;
+
+      const targetState = target.gameState;
+      const defense = this.serverAuthority.getDerivedStats(target).defense;
+      const damage = this.enemyManager.calculateEnemyDamage(enemy, defense);
+
+      const oldHealth = targetState.health;
+      targetState.health = Math.max(0, oldHealth - damage);
+      targetState.inCombat = true;
+      targetState.lastCombatTime = timestamp;
+
+      const healthDelta = targetState.health - oldHealth;
+      if (targetState.health <= 0) {
+        this.downOrKill(target, enemy.enemyId, timestamp, downs, deaths);
+      }
+
+      attacks.push({
+        enemyId: enemy.enemyId,
+        targetId: swing.targetId,
+        damage,
+        oldHealth,
+        newHealth: targetState.health,
+        isDowned: Boolean(targetState.downed),
+        isDead: targetState.health <= 0
+      });
+
+      const update = playerUpdates[swing.targetId] || { healthDelta: 0 };
+      update.healthDelta += healthDelta;
+      update.health = targetState.health;
+      update.maxHealth = targetState.maxHealth;
+      update.alive = targetState.health > 0;
+      update.downed = Boolean(targetState.downed);
+      playerUpdates[swing.targetId] = update;
+    }
+
+    for (const roomKey of roomKeys) {
+      for (const enemy of this.enemyManager.getRoomEnemies(matchId, roomKey)) {
+        enemies.push(this.enemyManager.describeEnemy(enemy));
+      }
+    }
+
+    return { enemies, attacks, stateChanges, playerUpdates, downs, deaths };
+  }
+
+  /**
+   * Calculate skill and spell results for a match
+   * Queued casts are re-validated (mana, cooldown, range) at resolution time
+   */
+  calculateSkillsAndSpells(matchId, timestamp = Date.now()) {
+    const skillResults = [];
+    const spellResults = [];
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
+
+    const matchState = this.matches.get(matchId);
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!matchState || !playerIds) {
+      return { skillResults, spellResults, playerUpdates, downs, deaths, message: 'Skill/Spell round processed' };
+    }
+
+    const gameState = { players: this.players, matches: this.matches };
+
+    for (const casterId of playerIds) {
+      const caster = this.players.get(casterId);
+      if (!caster) continue;
+
+      const cast = caster.gameState.pendingCast;
+      caster.gameState.pendingCast = null;
+
+      // Upkeep first so mana regen and expired buffs apply before this tick's casts
+      this.serverAuthority.processSkillUpkeep(caster, timestamp);
+
+      if (!cast || !caster.gameState.alive) continue;
+
+      const skill = this.serverAuthority.validateSkillCast(casterId, cast, matchState.skillTick, gameState);
+      if (!skill) {
+        const failed = { success: false, skillId: cast.skillId, casterId, reason: cast.rejection };
+        const category = this.serverAuthority.skillDatabase[cast.skillId]?.category;
+        (category === 'SPELL' ? spellResults : skillResults).push(failed);
+        continue;
+      }
+
+      const result = this.serverAuthority.resolveSkillCast(
+        casterId, cast, skill, matchState.skillTick, timestamp, gameState
+      );
+      (skill.category === 'SPELL' ? spellResults : skillResults).push(result);
+
+      for (const targetResult of result.targets) {
+        if (targetResult.damage) {
+          this.matchManager.recordPlayerDamage(matchId, casterId, targetResult.playerId, targetResult.damage);
+        }
+        if (targetResult.isDowned) {
+          downs.push({ playerId: targetResult.playerId, attackerId: casterId });
+        }
+        if (targetResult.isDead) {
+          deaths.push({ playerId: targetResult.playerId, killerId: casterId });
+        }
+      }
+    }
+
+    // Report the resulting health/mana of everyone in the match
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      if (!player) continue;
+
+      playerUpdates[playerId] = {
+        health: player.gameState.health,
+        maxHealth: player.gameState.maxHealth,
+        mana: player.gameState.mana,
+        maxMana: player.gameState.maxMana,
+        alive: player.gameState.alive,
+        downed: Boolean(player.gameState.downed)
+      };
+    }
+
+    return {
+      skillResults,
+      spellResults,
+      playerUpdates,
+      downs,
+      deaths,
+      message: 'Skill/Spell round processed'
+    };
+  }
+
+  /**
+   * Queue a skill/spell cast for the next skill tick
+   * Only one cast per tick - a newer request replaces the queued one
+   */
+  handleSkillCast(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const matchState = this.matches.get(playerConnection.matchId);
+    if (!matchState) return;
+
+    const cast = {
+      skillId: message.skillId,
+      targetId: message.targetId || null,
+      queuedAt: Date.now()
+    };
+
+    // Early feedback - the cast is validated again when it resolves
+    const skill = this.serverAuthority.validateSkillCast(playerId, cast, matchState.skillTick + 1, {
+      players: this.players,
+      matches: this.matches
+    });
+
+    if (!skill) {
+      this.sendToPlayer(playerId, {
+        type: 'SKILL_REJECTED',
+        skillId: message.skillId,
+        reason: cast.rejection,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    playerConnection.gameState.pendingCast = cast;
+
+    this.sendToPlayer(playerId, {
+      type: 'SKILL_QUEUED',
+      skillId: skill.id,
+      targetId: cast.targetId,
+      resolvesOnTick: matchState.skillTick + 1,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Handle action queuing from players
+   * Each player has a bounded FIFO; the ack tells the client which slot it took
+   */
+  handleActionQueue(playerId, matchId, action) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState) return;
+
+    const rejection = this.validateQueuedAction(action);
+    if (rejection) {
+      this.sendToPlayer(playerId, {
+        type: 'ACTION_REJECTED',
+        clientActionId: action?.clientActionId || null,
+        reason: rejection,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    const queue = this.getActionQueue(matchState, playerId);
+    if (queue.length >= this.MAX_QUEUED_ACTIONS) {
+      this.sendToPlayer(playerId, {
+        type: 'ACTION_REJECTED',
+        clientActionId: action.clientActionId || null,
+        reason: 'Action queue full',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    const queuedAction = {
+      actionId: uuidv4(),
+      clientActionId: action.clientActionId || null,
+      type: action.type,
+      targetId: action.targetId || null,
+      skillId: action.skillId || null,
+      itemId: action.itemId || null,
+      position: action.position || null,
+      sequence: ++matchState.actionSequence,
+      queuedAt: Date.now()
+    };
+
+    queue.push(queuedAction);
+
+    this.sendToPlayer(playerId, {
+      type: 'ACTION_QUEUED',
+      actionId: queuedAction.actionId,
+      clientActionId: queuedAction.clientActionId,
+      slot: queue.length - 1,
+      queue: this.describeActionQueue(queue),
+      timestamp: Date.now()
+    });
+
+    console.log(`Player ${playerId} queued ${queuedAction.type} in slot ${queue.length - 1}`);
+  }
+
+  /**
+   * Check that a queued action has a known type and the fields it needs
+   * Returns a rejection reason, or null if the action is well-formed
+   */
+  validateQueuedAction(action) {
+    if (!action || !this.ACTION_TYPES.includes(action.type)) {
+      return 'Unknown action type';
+    }
+
+    switch (action.type) {
+    case 'ATTACK_TARGET':
+      return action.targetId ? null : 'Missing targetId';
+    case 'CAST_SKILL':
+      return this.serverAuthority.skillDatabase[action.skillId] ? null : 'Unknown skill';
+    case 'USE_ITEM':
+      return action.itemId ? null : 'Missing itemId';
+    case 'MOVE_TO':
+      return action.position?.room ? null : 'Missing room position';
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Remove a queued action
+   */
+  handleCancelAction(playerId, matchId, actionId) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState) return;
+
+    const queue = this.getActionQueue(matchState, playerId);
+    const index = queue.findIndex(action => action.actionId === actionId);
+
+    if (index === -1) {
+      this.sendToPlayer(playerId, {
+        type: 'ACTION_REJECTED',
+        actionId,
+        reason: 'Action not in queue',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    queue.splice(index, 1);
+    this.sendActionQueueUpdate(playerId, queue, 'cancelled');
+  }
+
+  /**
+   * Move a queued action to another slot
+   */
+  handleReorderAction(playerId, matchId, actionId, slot) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState) return;
+
+    const queue = this.getActionQueue(matchState, playerId);
+    const index = queue.findIndex(action => action.actionId === actionId);
+
+    if (index === -1 || !Number.isInteger(slot) || slot < 0 || slot >= queue.length) {
+      this.sendToPlayer(playerId, {
+        type: 'ACTION_REJECTED',
+        actionId,
+        reason: index === -1 ? 'Action not in queue' : 'Invalid slot',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    const [action] = queue.splice(index, 1);
+    queue.splice(slot, 0, action);
+    this.sendActionQueueUpdate(playerId, queue, 'reordered');
+  }
+
+  /**
+   * Pop and execute the head of every queue in a match
+   * Heads run in enqueue order (match-wide sequence) so results are deterministic
+   */
+  processActionQueues(matchId, timestamp) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState) return;
+
+    const heads = [];
+    for (const [playerId, queue] of matchState.actionQueues) {
+      if (queue.length > 0) heads.push({ playerId, action: queue[0] });
+    }
+    heads.sort((a, b) => a.action.sequence - b.action.sequence);
+
+    for (const { playerId, action } of heads) {
+      const playerConnection = this.players.get(playerId);
+      const queue = matchState.actionQueues.get(playerId);
+      if (!playerConnection || !queue) continue;
+
+      // Dead players lose whatever they had queued
+      if (!playerConnection.gameState.alive) {
+        queue.length = 0;
+        continue;
+      }
+
+      const outcome = this.executeQueuedAction(playerConnection, action, timestamp);
+
+      // In-progress actions (still walking, cast slot busy) stay at the head
+      if (outcome.status !== 'in_progress') {
+        queue.shift();
+      }
+
+      this.sendToPlayer(playerId, {
+        type: 'ACTION_EXECUTED',
+        actionId: action.actionId,
+        clientActionId: action.clientActionId,
+        actionType: action.type,
+        ...outcome,
+        queue: this.describeActionQueue(queue),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Execute a single queued action
+   * Returns { status: 'done' | 'in_progress' | 'failed', reason? }
+   */
+  executeQueuedAction(playerConnection, action, timestamp) {
+    const { playerId } = playerConnection;
+    const gameState = playerConnection.gameState;
+
+    switch (action.type) {
+    case 'ATTACK_TARGET': {
+      if (this.enemyManager.isEnemyId(action.targetId)) {
+        if (!this.enemyManager.getEnemy(playerConnection.matchId, action.targetId)) {
+          return { status: 'failed', reason: 'Invalid target' };
+        }
+
+        gameState.targetId = action.targetId;
+        gameState.inCombat = true;
+        gameState.lastCombatTime = timestamp;
+        return { status: 'done' };
+      }
+
+      const target = this.players.get(action.targetId);
+      if (!target || target.matchId !== playerConnection.matchId || !target.gameState.alive ||
+          action.targetId === playerId) {
+        return { status: 'failed', reason: 'Invalid target' };
+      }
+
+      if (this.serverAuthority.teamRules.friendlyFire === 'OFF' &&
+          this.serverAuthority.areTeammates(playerConnection, target)) {
+        return { status: 'failed', reason: 'Target is a teammate' };
+      }
+
+      // Engage - the autoattack tick does the actual hitting
+      gameState.targetId = action.targetId;
+      gameState.inCombat = true;
+      gameState.lastCombatTime = timestamp;
+      return { status: 'done' };
+    }
+
+    case 'CAST_SKILL': {
+      if (gameState.pendingCast) {
+        return { status: 'in_progress', reason: 'Waiting for skill tick' };
+      }
+
+      const matchState = this.matches.get(playerConnection.matchId);
+      const cast = { skillId: action.skillId, targetId: action.targetId, queuedAt: timestamp };
+      const skill = this.serverAuthority.validateSkillCast(playerId, cast, matchState.skillTick + 1, {
+        players: this.players,
+        matches: this.matches
+      });
+
+      if (!skill) {
+        return { status: 'failed', reason: cast.rejection };
+      }
+
+      gameState.pendingCast = cast;
+      return { status: 'done', resolvesOnTick: matchState.skillTick + 1 };
+    }
+
+    case 'USE_ITEM': {
+      const result = this.serverAuthority.validateItemAction(playerId, action.itemId, 'use', timestamp, {
+        players: this.players,
+        matches: this.matches
+      });
+
+      if (!result || !result.success) {
+        return { status: 'failed', reason: result?.reason || 'Invalid item action' };
+      }
+
+      for (const application of result.effects?.statusEffects || []) {
+        this.broadcastStatusEffectApplied(playerConnection.matchId, playerId, application);
+      }
+      return { status: 'done', result };
+    }
+
+    case 'MOVE_TO': {
+      const current = gameState.position;
+      const destination = action.position;
+
+      if (destination.world &&
+          (destination.world.x !== current.world.x || destination.world.y !== current.world.y)) {
+        return { status: 'failed', reason: 'Destination is in another room' };
+      }
+
+      const dx = destination.room.x - current.room.x;
+      const dy = destination.room.y - current.room.y;
+      const remaining = Math.sqrt(dx * dx + dy * dy);
+      if (remaining === 0) {
+        return { status: 'done' };
+      }
+
+      // Walk at most one tick's worth of movement toward the destination
+      const step = this.serverAuthority.maxMovementSpeed * (this.AUTOATTACK_INTERVAL / 1000);
+      const ratio = Math.min(1, step / remaining);
+      const nextPosition = {
+        world: { ...current.world },
+        room: {
+          x: current.room.x + Math.round(dx * ratio),
+          y: current.room.y + Math.round(dy * ratio)
+        }
+      };
+
+      if (!this.processMovement(playerId, nextPosition, timestamp)) {
+        return { status: 'failed', reason: 'Path blocked' };
+      }
+
+      return ratio < 1 ? { status: 'in_progress' } : { status: 'done' };
+    }
+
+    default:
+      return { status: 'failed', reason: 'Unknown action type' };
+    }
+  }
+
+  /**
+   * Get (or lazily create) a player's action queue
+   */
+  getActionQueue(matchState, playerId) {
+    if (!matchState.actionQueues.has(playerId)) {
+      matchState.actionQueues.set(playerId, []);
+    }
+    return matchState.actionQueues.get(playerId);
+  }
+
+  /**
+   * Client-facing view of a queue
+   */
+  describeActionQueue(queue) {
+    return queue.map((action, slot) => ({
+      slot,
+      actionId: action.actionId,
+      clientActionId: action.clientActionId,
+      type: action.type
+    }));
+  }
+
+  /**
+   * Send the current queue to its owner after a cancel/reorder
+   */
+  sendActionQueueUpdate(playerId, queue, reason) {
+    this.sendToPlayer(playerId, {
+      type: 'ACTION_QUEUE_UPDATED',
+      reason,
+      queue: this.describeActionQueue(queue),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Handle player ready status
+   */
+  handlePlayerReady(playerId, matchId) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState) return;
+
+    const playerConnection = this.players.get(playerId);
+    if (playerConnection) {
+      playerConnection.gameState.ready = true;
+      this.updatePlayerStatus(playerId, 'ready');
+    }
+
+    console.log(`Player ${playerId} is ready in match ${matchId}`);
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Handle movement request
+   */
+  handleMoveRequest(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    this.processMovement(playerId, message.position, message.timestamp || Date.now());
+  }
+
+  /**
+   * Validate a move, then broadcast it or send a correction
+   * Returns true if the player ended up at the requested position
+   */
+  processMovement(playerId, requestedPos, timestamp, options = {}) {
+    const playerConnection = this.players.get(playerId);
+    const fromPos = playerConnection.gameState.position;
+
+    // Downed players stay where they fell until revived, snared ones until the snare wears off
+    let reason = null;
+    if (playerConnection.gameState.downed) {
+      reason = 'PLAYER_DOWNED';
+    } else if (this.serverAuthority.isImmobilized(playerConnection)) {
+      reason = 'PLAYER_SNARED';
+    } else if (!isValidPosition(requestedPos)) {
+      reason = 'MALFORMED_POSITION';
+    } else if (!options.roomTransition &&
+        (requestedPos.world.x !== fromPos.world.x || requestedPos.world.y !== fromPos.world.y)) {
+      // Rooms are only left through their exits (ROOM_TRANSITION)
+      reason = 'USE_ROOM_EXIT';
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, {
+        type: 'POSITION_CORRECTION',
+        position: playerConnection.gameState.lastValidPosition,
+        reason,
+        blockedAt: null,
+        timestamp: Date.now()
+      });
+      return false;
+    }
+
+    // Never keep a reference to the client's object
+    const toPos = clonePosition(requestedPos);
+
+    // Validate movement with ServerAuthority
+    const validatedPosition = this.serverAuthority.validateMovement(
+      playerId, fromPos, toPos, timestamp, playerConnection, this.getMapAccessor(playerConnection.matchId)
+    );
+
+    if (validatedPosition === toPos) {
+      // An armed trap crossed on the way stops the player on its cell (checkTraps springs it)
+      const trap = this.findTrapOnPath(playerConnection.matchId, fromPos, validatedPosition);
+      if (trap) {
+        validatedPosition.room = { ...trap.position.room };
+      }
+
+      // Update server-side position
+      playerConnection.gameState.position = validatedPosition;
+      playerConnection.gameState.lastValidPosition = clonePosition(validatedPosition);
+      playerConnection.gameState.lastMoveTime = timestamp;
+      this.matchManager.updatePlayerPosition(playerConnection.matchId, playerId, clonePosition(validatedPosition));
+
+      // Stream the new room before anything in it can happen to the player
+      if (validatedPosition.world.x !== fromPos.world.x || validatedPosition.world.y !== fromPos.world.y) {
+        this.sendRoomData(playerConnection, validatedPosition.world.x, validatedPosition.world.y);
+      }
+
+      // The position reaches the players who can see it in the next state snapshot
+      this.refreshInterest(playerConnection);
+
+      this.collectFloorLoot(playerConnection);
+      this.checkTraps(playerConnection, timestamp);
+      this.checkPortal(playerConnection, timestamp);
+
+      if (trap) {
+        this.sendToPlayer(playerId, {
+          type: 'POSITION_CORRECTION',
+          position: clonePosition(validatedPosition),
+          reason: 'TRAP_TRIGGERED',
+          blockedAt: clonePosition(trap.position),
+          timestamp: Date.now()
+        });
+      }
+
+      console.log(`Player ${playerId} moved to:`, validatedPosition);
+      return !trap;
+    }
+
+    // Send correction to client
+    const rejection = playerConnection.moveRejection || { reason: 'INVALID_MOVEMENT' };
+    this.sendToPlayer(playerId, {
+      type: 'POSITION_CORRECTION',
+      position: playerConnection.gameState.lastValidPosition,
+      reason: rejection.reason,
+      blockedAt: rejection.blockedAt || null,
+      timestamp: Date.now()
+    });
+
+    console.log(`Movement correction sent to player ${playerId}`);
+    return false;
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Step through a room exit into the neighbouring world tile
+   * The player must be standing on an exit cell facing that way; the step itself is validated
+   * like any other move and the neighbouring room is streamed to the player on arrival
+   */
+  handleRoomTransition(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const { matchId } = playerConnection;
+    const position = playerConnection.gameState.position;
+    const cell = getRoomCell(position);
+    let reason = null;
+    let target = null;
+
+    if (playerConnection.gameState.downed) {
+      reason = 'You are downed';
+    } else if (!this.matchManager.ROOM_EXITS.directions[message.direction]) {
+      reason = 'Invalid direction';
+    } else {
+      const roomData = this.matchManager.getRoomData(matchId, position.world.x, position.world.y);
+      if (!roomData || this.matchManager.getRoomExit(roomData, cell) !== message.direction) {
+        reason = 'Not at a room exit';
+      } else {
+        target = this.matchManager.getTransitionTarget(matchId, position.world.x, position.world.y, message.direction, cell);
+        if (!target) reason = 'No way through';
+      }
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, {
+        type: 'ROOM_TRANSITION_REJECTED',
+        direction: message.direction || null,
+        reason,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // processMovement sends the correction if the step itself is refused
+    if (this.processMovement(playerId, target, message.timestamp || Date.now(), { roomTransition: true })) {
+      console.log(`Player ${playerId} left (${position.world.x},${position.world.y}) ${message.direction} for (${target.world.x},${target.world.y})`);
+    }
+  }
+
+  /**
+   * Stepping onto an ITEM tile turns it into real items at the player's feet
+   */
+  collectFloorLoot(playerConnection) {
+    const { playerId, matchId } = playerConnection;
+    const { world } = playerConnection.gameState.position;
+    const cell = getRoomCell(playerConnection.gameState.position);
+
+    const claim = this.matchManager.claimRoomLoot(matchId, world.x, world.y, cell, 'ITEM');
+    if (!claim) return;
+
+    const items = this.serverAuthority.spawnLoot(
+      'ITEM', claim.roomType, claim.seed, { world: { ...world }, room: { ...cell } }, matchId
+    );
+
+    // Only players who can see the looter learn where the loot appeared
+    this.broadcastToInterested(matchId, [playerId], {
+      type: 'LOOT_SPAWNED',
+      source: 'ITEM',
+      playerId,
+      worldPos: { ...world },
+      cell,
+      items,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Open a chest in the player's current room
+   * The loot spawns on the chest's cell and is picked up with ITEM_ACTION like any other item
+   */
+  handleOpenChest(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive || playerConnection.gameState.downed) return;
+
+    const cell = message.cell;
+    const { world } = playerConnection.gameState.position;
+    let reason = null;
+    let claim = null;
+
+    if (!cell || !Number.isInteger(cell.x) || !Number.isInteger(cell.y) ||
+        cell.x < 0 || cell.x >= ROOM_SIZE || cell.y < 0 || cell.y >= ROOM_SIZE) {
+      reason = 'Invalid chest position';
+    } else if (this.serverAuthority.calculateDistance(
+      playerConnection.gameState.position, { world, room: cell }) > this.serverAuthority.maxPickupRange) {
+      reason = 'Chest out of range';
+    } else {
+      claim = this.matchManager.claimRoomLoot(playerConnection.matchId, world.x, world.y, cell, 'CHEST');
+      if (!claim) reason = 'No unopened chest there';
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, { type: 'CHEST_REJECTED', cell: cell || null, reason, timestamp: Date.now() });
+      return;
+    }
+
+    const items = this.serverAuthority.spawnLoot(
+      'CHEST', claim.roomType, claim.seed, { world: { ...world }, room: { x: cell.x, y: cell.y } }, playerConnection.matchId
+    );
+
+    this.broadcastToInterested(playerConnection.matchId, [playerId], {
+      type: 'CHEST_OPENED',
+      playerId,
+      worldPos: { ...world },
+      cell: { x: cell.x, y: cell.y },
+      items,
+      timestamp: Date.now()
+    });
+
+    console.log(`Player ${playerId} opened a chest at (${world.x},${world.y}) cell (${cell.x},${cell.y}) - ${items.length} items`);
+  }
+
+  /**
+   * First armed trap on the cells a move within one room passes through, not counting
+   * where it starts or ends (checkTraps handles the cell the player lands on)
+   */
+  findTrapOnPath(matchId, fromPos, toPos) {
+    if (fromPos.world.x !== toPos.world.x || fromPos.world.y !== toPos.world.y) return null;
+
+    const roomData = this.matchManager.getRoomData(matchId, toPos.world.x, toPos.world.y);
+    if (!roomData) return null;
+
+    for (const cell of traceGridLine(fromPos.room, toPos.room).slice(1, -1)) {
+      const trap = this.trapManager.getTrapAt(matchId, roomData, cell);
+      if (trap && trap.state === 'ARMED') return trap;
+    }
+    return null;
+  }
+
+  /**
+   * After a validated move: spring an armed trap underfoot, then roll to spot hidden ones nearby
+   */
+  checkTraps(playerConnection, timestamp) {
+    const { playerId, matchId } = playerConnection;
+    const { world } = playerConnection.gameState.position;
+    const roomData = this.matchManager.getRoomData(matchId, world.x, world.y);
+    if (!roomData) return;
+
+    const trap = this.trapManager.getTrapAt(matchId, roomData, getRoomCell(playerConnection.gameState.position));
+    if (trap && trap.state === 'ARMED') {
+      const downs = [];
+      const deaths = [];
+      this.springTrap(playerConnection, trap, timestamp, 'STEPPED_ON', downs, deaths);
+
+      for (const down of downs) {
+        this.broadcastPlayerDowned(matchId, down.playerId, down.attackerId, timestamp);
+      }
+      for (const death of deaths) {
+        this.handlePlayerDeath(death.playerId, death.killerId, timestamp);
+      }
+    }
+
+    if (!playerConnection.gameState.alive || playerConnection.gameState.downed) return;
+
+    const teamKey = playerConnection.gameState.teamId || playerId;
+    const found = this.trapManager.detectTraps(matchId, roomData, playerConnection.gameState.position, teamKey);
+    if (found.length === 0) return;
+
+    const detected = {
+      type: 'TRAP_DETECTED',
+      playerId,
+      traps: found.map(detectedTrap => this.trapManager.describeTrap(detectedTrap)),
+      timestamp: Date.now()
+    };
+    if (playerConnection.gameState.teamId) {
+      this.broadcastToTeam(matchId, playerConnection.gameState.teamId, detected);
+    } else {
+      this.sendToPlayer(playerId, detected);
+    }
+  }
+
+  /**
+   * Set a trap off on a player: damage, a status effect and/or an alarm for the room's monsters
+   * Zero-health outcomes are added to downs/deaths for the caller to resolve
+   * Returns the player update for tick results
+   */
+  springTrap(player, trap, timestamp, cause, downs, deaths) {
+    const { playerId, matchId } = player;
+    const state = player.gameState;
+    const trapType = this.trapManager.springTrap(trap);
+
+    const oldHealth = state.health;
+    state.health = Math.max(0, oldHealth - trapType.damage);
+
+    let statusEffect = null;
+    if (trapType.statusEffect && state.health > 0) {
+      const application = this.serverAuthority.applyStatusEffect(player, trapType.statusEffect, timestamp, trap.trapId);
+      statusEffect = application.action === 'ignored' ? null : application;
+    }
+
+    let alertedEnemies = [];
+    if (trapType.alertsEnemies) {
+      this.activateRoom(matchId, trap.position.world.x, trap.position.world.y);
+      alertedEnemies = this.enemyManager.alertRoom(matchId, trap.roomKey, playerId);
+    }
+
+    if (state.health <= 0) {
+      this.downOrKill(player, trap.trapId, timestamp, downs, deaths);
+    }
+
+    // Only the room hears it go off
+    this.broadcastToRoom(matchId, trap.position.world, {
+      type: 'TRAP_TRIGGERED',
+      playerId,
+      cause,
+      trap: this.trapManager.describeTrap(trap),
+      damage: oldHealth - state.health,
+      health: state.health,
+      downed: Boolean(state.downed),
+      statusEffect,
+      statusEffects: this.serverAuthority.describeStatusEffects(player),
+      alertedEnemies,
+      timestamp: Date.now()
+    });
+
+    console.log(`Player ${playerId} sprang ${trap.type} trap ${trap.trapId} (${cause})`);
+
+    return {
+      healthDelta: state.health - oldHealth,
+      health: state.health,
+      maxHealth: state.maxHealth,
+      alive: state.health > 0,
+      downed: Boolean(state.downed)
+    };
+  }
+
+  /**
+   * Start disarming a detected trap next to the player
+   * The attempt resolves on the autoattack tick once disarmDuration has passed
+   */
+  handleDisarmTrap(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const { matchId } = playerConnection;
+    const state = playerConnection.gameState;
+    const cell = message.cell;
+    const { world } = state.position;
+    const timestamp = Date.now();
+    let reason = null;
+    let trap = null;
+
+    if (state.downed) {
+      reason = 'You are downed';
+    } else if (state.inCombat) {
+      reason = 'Cannot disarm while in combat';
+    } else if (!cell || !Number.isInteger(cell.x) || !Number.isInteger(cell.y) ||
+        cell.x < 0 || cell.x >= ROOM_SIZE || cell.y < 0 || cell.y >= ROOM_SIZE) {
+      reason = 'Invalid trap position';
+    } else {
+      const roomData = this.matchManager.getRoomData(matchId, world.x, world.y);
+      trap = roomData ? this.trapManager.getTrapAt(matchId, roomData, cell) : null;
+
+      // An undetected trap gets the same answer as empty floor
+      if (!trap || trap.state !== 'ARMED' || !this.trapManager.isRevealedTo(trap, state.teamId || playerId)) {
+        reason = 'No armed trap there';
+      } else if (trap.disarm && trap.disarm.playerId !== playerId) {
+        reason = 'Already being disarmed';
+      } else if (this.serverAuthority.calculateDistance(state.position, trap.position) >
+        this.trapManager.TRAP_RULES.disarmRange) {
+        reason = 'Trap out of range';
+      }
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, { type: 'DISARM_REJECTED', cell: cell || null, reason, timestamp });
+      return;
+    }
+
+    // Disarming takes both hands - stop swinging at whoever you were fighting
+    state.targetId = null;
+    const disarm = this.trapManager.startDisarm(trap, playerId, timestamp);
+
+    this.sendToPlayer(playerId, {
+      type: 'DISARM_STARTED',
+      trap: this.trapManager.describeTrap(trap),
+      completesAt: disarm.completesAt,
+      timestamp
+    });
+  }
+
+  /**
+   * Resolve disarm attempts that have run their course
+   * Moving, fighting or going down abandons the attempt; a failed attempt springs the trap on the disarmer
+   */
+  processTrapDisarms(matchId, timestamp) {
+    const playerUpdates = {};
+    const downs = [];
+    const deaths = [];
+
+    for (const trap of this.trapManager.getDisarmsInProgress(matchId)) {
+      const { playerId, startedAt, completesAt } = trap.disarm;
+      const player = this.players.get(playerId);
+      const state = player?.gameState;
+      const interrupted = !player || player.matchId !== matchId || !state.alive || state.downed || state.health <= 0 ||
+        state.lastMoveTime > startedAt || state.lastCombatTime > startedAt;
+
+      if (interrupted) {
+        trap.disarm = null;
+        this.sendToPlayer(playerId, { type: 'DISARM_CANCELLED', trap: this.trapManager.describeTrap(trap), timestamp });
+        continue;
+      }
+      if (timestamp < completesAt) continue;
+
+      if (this.trapManager.finishDisarm(trap)) {
+        this.broadcastToRoom(matchId, trap.position.world, {
+          type: 'TRAP_DISARMED',
+          playerId,
+          trap: this.trapManager.describeTrap(trap),
+          timestamp
+        });
+        console.log(`Player ${playerId} disarmed ${trap.type} trap ${trap.trapId}`);
+        continue;
+      }
+
+      playerUpdates[playerId] = this.springTrap(player, trap, timestamp, 'DISARM_FAILED', downs, deaths);
+    }
+
+    return { playerUpdates, downs, deaths };
+  }
+
+  /**
+   * After a validated move: standing on a linked portal tile starts channelling, stepping off cancels it
+   */
+  checkPortal(playerConnection, timestamp) {
+    const { playerId, matchId } = playerConnection;
+    const state = playerConnection.gameState;
+    const { world } = state.position;
+    const cell = getRoomCell(state.position);
+    const rules = this.matchManager.PORTAL_RULES;
+
+    const portal = cell.x === rules.portalCell.x && cell.y === rules.portalCell.y ?
+      this.matchManager.getPortal(matchId, world.x, world.y) : null;
+    if (state.portalChannel && (!portal || state.portalChannel.portal.x !== portal.x || state.portalChannel.portal.y !== portal.y)) {
+      this.cancelPortalChannel(playerConnection, 'Left the portal', timestamp);
+    }
+    if (!portal || state.portalChannel || !state.alive || state.downed) return;
+
+    if (state.portalCooldownUntil > timestamp) {
+      this.sendToPlayer(playerId, {
+        type: 'PORTAL_REJECTED',
+        reason: 'Portal on cooldown',
+        readyAt: state.portalCooldownUntil,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    state.portalChannel = {
+      portal: { x: portal.x, y: portal.y },
+      destination: { ...portal.portal.destination },
+      startedAt: timestamp,
+      completesAt: timestamp + rules.channelTime
+    };
+
+    this.broadcastToRoom(matchId, world, {
+      type: 'PORTAL_CHANNEL_STARTED',
+      playerId,
+      portal: { x: portal.x, y: portal.y, name: portal.name },
+      destination: state.portalChannel.destination,
+      completesAt: state.portalChannel.completesAt,
+      timestamp: Date.now()
+    });
+  }
+
+  cancelPortalChannel(playerConnection, reason, timestamp) {
+    const { playerId, matchId } = playerConnection;
+    const { world } = playerConnection.gameState.position;
+    const channel = playerConnection.gameState.portalChannel;
+    playerConnection.gameState.portalChannel = null;
+
+    const cancelled = { type: 'PORTAL_CHANNEL_CANCELLED', playerId, reason, timestamp };
+    this.broadcastToRoom(matchId, channel.portal, cancelled);
+    // Walking off onto another world tile leaves the player outside the portal room
+    if (world.x !== channel.portal.x || world.y !== channel.portal.y) {
+      this.sendToPlayer(playerId, cancelled);
+    }
+
+    console.log(`Portal channel cancelled for ${playerId} at (${channel.portal.x},${channel.portal.y}): ${reason}`);
+  }
+
+  /**
+   * Finish portal channels whose time is up; taking a hit or going down breaks the channel
+   */
+  processPortalChannels(matchId, timestamp) {
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) return;
+
+    for (const playerId of playerIds) {
+      const player = this.players.get(playerId);
+      const channel = player?.gameState.portalChannel;
+      if (!channel) continue;
+
+      const state = player.gameState;
+      if (!state.alive || state.downed || state.lastCombatTime > channel.startedAt) {
+        this.cancelPortalChannel(player, state.alive && !state.downed ? 'Interrupted by combat' : 'Downed', timestamp);
+        continue;
+      }
+      if (timestamp < channel.completesAt) continue;
+
+      state.portalChannel = null;
+      const arrival = this.matchManager.getPortalArrival(matchId, channel.destination.x, channel.destination.y);
+      if (!arrival || !this.teleportPlayer(player, arrival, 'PORTAL', timestamp)) {
+        this.sendToPlayer(playerId, { type: 'PORTAL_REJECTED', reason: 'The portal is unstable', timestamp });
+        continue;
+      }
+
+      state.portalCooldownUntil = timestamp + this.matchManager.PORTAL_RULES.cooldown;
+    }
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Move a player to a position of the server's choosing
+   * The jump is sanctioned with the anti-cheat validator first, so it is checked for bounds
+   * but not flagged as speed or wall hacking. Returns true if the player moved.
+   */
+  teleportPlayer(playerConnection, destination, reason, timestamp = Date.now()) {
+    const { playerId, matchId } = playerConnection;
+    const fromPos = playerConnection.gameState.position;
+    const toPos = clonePosition(destination);
+
+    this.serverAuthority.authorizeJump(playerConnection, toPos, reason, timestamp);
+    const validatedPosition = this.serverAuthority.validateMovement(
+      playerId, fromPos, toPos, timestamp, playerConnection, this.getMapAccessor(matchId)
+    );
+    if (validatedPosition !== toPos) return false;
+
+    playerConnection.gameState.position = validatedPosition;
+    playerConnection.gameState.lastValidPosition = clonePosition(validatedPosition);
+    playerConnection.gameState.lastMoveTime = timestamp;
+    this.matchManager.updatePlayerPosition(matchId, playerId, clonePosition(validatedPosition));
+
+    // Whoever watched the player leave sees the jump; the destination sees them arrive
+    this.broadcastToInterested(matchId, [playerId], {
+      type: 'PLAYER_TELEPORTED',
+      playerId,
+      from: clonePosition(fromPos),
+      position: clonePosition(validatedPosition),
+      reason,
+      timestamp: Date.now()
+    });
+
+    this.sendRoomData(playerConnection, validatedPosition.world.x, validatedPosition.world.y);
+    this.refreshInterest(playerConnection);
+    console.log(`Player ${playerId} teleported (${reason}) to:`, validatedPosition);
+    return true;
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Talk to or trade with an NPC in the player's current room
+   * action: TALK (offers only), BUY, SELL, HEAL, IDENTIFY or ENCHANT
+   */
+  handleNpcInteract(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const { matchId } = playerConnection;
+    const state = playerConnection.gameState;
+    const cell = message.cell;
+    const action = message.action || 'TALK';
+    const { world } = state.position;
+    let reason = null;
+    let npc = null;
+
+    if (state.downed) {
+      reason = 'You are downed';
+    } else if (state.inCombat) {
+      reason = 'Cannot trade while in combat';
+    } else if (!cell || !Number.isInteger(cell.x) || !Number.isInteger(cell.y) ||
+        cell.x < 0 || cell.x >= ROOM_SIZE || cell.y < 0 || cell.y >= ROOM_SIZE) {
+      reason = 'Invalid NPC position';
+    } else {
+      const roomData = this.matchManager.getRoomData(matchId, world.x, world.y);
+      npc = roomData ? this.npcManager.getNpc(matchId, roomData, cell) : null;
+
+      if (!npc) {
+        reason = 'Nobody to talk to there';
+      } else if (this.serverAuthority.calculateDistance(state.position, npc.position) >
+        this.npcManager.NPC_RULES.interactRange) {
+        reason = 'NPC out of range';
+      }
+    }
+
+    const outcome = reason ? { reason } : this.performNpcAction(playerConnection, npc, action, message);
+
+    if (outcome.reason) {
+      this.sendToPlayer(playerId, {
+        type: 'NPC_REJECTED',
+        npcId: npc ? npc.npcId : null,
+        action,
+        reason: outcome.reason,
+        gold: state.gold,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    const { refreshStats, ...details } = outcome;
+    this.sendToPlayer(playerId, {
+      type: action === 'TALK' ? 'NPC_DIALOG' : 'NPC_TRANSACTION',
+      action,
+      npc: this.npcManager.describeNpc(npc, this.serverAuthority.itemDatabase),
+      ...details,
+      gold: state.gold,
+      timestamp: Date.now()
+    });
+
+    // Cleansed debuffs end like expired ones (the stat sheet follows if they changed stats)
+    if (details.cleansed?.length > 0) {
+      this.broadcastStatusEffectsExpired(playerConnection, details.cleansed, Date.now());
+    }
+
+    // Enchanting worn gear changes derived stats
+    if (refreshStats) {
+      this.sendStatSheet(playerId);
+    }
+
+    if (action !== 'TALK') {
+      console.log(`Player ${playerId} ${action} at ${npc.npcId} - ${state.gold} gold left`);
+    }
+  }
+
+  /**
+   * Carry out one NPC transaction; gold is only taken once everything else has succeeded
+   * Returns { reason } on failure, otherwise the details for NPC_TRANSACTION
+   */
+  performNpcAction(playerConnection, npc, action, message) {
+    const { playerId } = playerConnection;
+    const state = playerConnection.gameState;
+    const authority = this.serverAuthority;
+
+    switch (action) {
+    case 'TALK':
+      return {};
+
+    case 'BUY': {
+      const template = authority.itemDatabase[message.templateId];
+      const quantity = message.quantity ?? 1;
+      if (!template || !npc.stock.has(message.templateId)) return { reason: 'Not for sale here' };
+      if (!Number.isInteger(quantity) || quantity < 1) return { reason: 'Invalid quantity' };
+      if (quantity > npc.stock.get(message.templateId)) return { reason: 'Not enough in stock' };
+      if (!authority.itemTypes[template.type].stackable && quantity > 1) return { reason: 'Buy one at a time' };
+
+      const price = this.npcManager.getBuyPrice(npc, template) * quantity;
+      if (price > state.gold) return { reason: 'Not enough gold' };
+
+      const pickup = authority.grantItem(playerId, message.templateId, quantity, { matchId: playerConnection.matchId, source: 'NPC' });
+      if (!pickup.success) return { reason: pickup.reason };
+
+      this.npcManager.takeStock(npc, message.templateId, quantity);
+      state.gold -= price;
+      return { item: pickup.item, slot: pickup.slot, quantity, price };
+    }
+
+    case 'SELL': {
+      if (!this.npcManager.getRole(npc).buysItems) return { reason: 'This NPC does not buy items' };
+
+      const item = authority.findOwnedItem(playerId, message.itemId);
+      const quantity = message.quantity ?? (item ? item.quantity : 1);
+      if (!item) return { reason: 'Item not found' };
+      if (authority.isItemEquipped(playerId, item.id)) return { reason: 'Unequip the item first' };
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) return { reason: 'Invalid quantity' };
+
+      const price = this.npcManager.getSellPrice(item) * quantity;
+      authority.removeFromInventory(playerId, item, quantity);
+      state.gold += price;
+      return { itemId: item.id, templateId: item.templateId, quantity, price };
+    }
+
+    case 'HEAL': {
+      if (!this.npcManager.offersService(npc, 'HEAL')) return { reason: 'This NPC does not heal' };
+
+      const maxHealth = state.maxHealth || authority.combatRules.maxHealth;
+      const debuffs = (state.statusEffects || []).filter(effect => effect.kind === 'debuff');
+      const price = this.npcManager.getHealCost(maxHealth - state.health, debuffs.length);
+      if (price === 0) return { reason: 'Nothing to heal' };
+      if (price > state.gold) return { reason: 'Not enough gold' };
+
+      const oldHealth = state.health;
+      state.health = maxHealth;
+      const cleansed = authority.removeStatusEffects(playerConnection, effect => effect.kind === 'debuff');
+      state.gold -= price;
+      return {
+        price,
+        healthRestored: state.health - oldHealth,
+        health: state.health,
+        cleansed,
+        statusEffects: authority.describeStatusEffects(playerConnection)
+      };
+    }
+
+    case 'IDENTIFY': {
+      if (!this.npcManager.offersService(npc, 'IDENTIFY')) return { reason: 'This NPC cannot identify items' };
+
+      const item = authority.findOwnedItem(playerId, message.itemId);
+      if (!item) return { reason: 'Item not found' };
+      if (item.identified !== false) return { reason: 'Item is already identified' };
+
+      const price = this.npcManager.getIdentifyCost(item);
+      if (price > state.gold) return { reason: 'Not enough gold' };
+
+      state.gold -= price;
+      const enchantment = authority.identifyItem(item);
+      return { item, price, enchantment, refreshStats: authority.isItemEquipped(playerId, item.id) && enchantment > 0 };
+    }
+
+    case 'ENCHANT': {
+      if (!this.npcManager.offersService(npc, 'ENCHANT')) return { reason: 'This NPC cannot enchant items' };
+
+      const item = authority.findOwnedItem(playerId, message.itemId);
+      if (!item) return { reason: 'Item not found' };
+      if (!authority.enchantRules.bonusPerLevel[item.type]) return { reason: 'Only weapons and armor can be enchanted' };
+      if (item.identified === false) return { reason: 'Identify the item first' };
+      if ((item.enchantment || 0) >= authority.enchantRules.maxLevel) return { reason: 'Item is fully enchanted' };
+
+      const price = this.npcManager.getEnchantCost(item);
+      if (price > state.gold) return { reason: 'Not enough gold' };
+
+      state.gold -= price;
+      authority.enchantItem(item);
+      return { item, price, enchantment: item.enchantment, refreshStats: authority.isItemEquipped(playerId, item.id) };
+    }
+
+    default:
+      return { reason: `Unknown action: ${action}` };
+    }
+  }
+
+  /**
+   * Map lookups ServerAuthority needs for collision checks
+   */
+  getMapAccessor(matchId) {
+    if (!this.matchManager.getMatchState(matchId)) return null;
+
+    return {
+      bounds: this.matchManager.getMatchState(matchId).map.bounds,
+      isTileAccessible: (worldX, worldY) => this.matchManager.canMoveToPosition(matchId, worldX, worldY),
+      getRoomTerrain: (worldX, worldY) => this.matchManager.getRoomData(matchId, worldX, worldY)?.terrain || null
+    };
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Handle attack request
+   */
+  handleAttackRequest(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const targetId = message.targetId;
+    const timestamp = message.timestamp || Date.now();
+
+    if (this.enemyManager.isEnemyId(targetId)) {
+      this.handleEnemyAttackRequest(playerConnection, targetId, timestamp);
+      return;
+    }
+
+    // Validate and process combat with ServerAuthority
+    const combatResult = this.serverAuthority.validateCombatAction(
+      playerId, targetId, 'ATTACK', timestamp, {
+        players: this.players,
+        matches: this.matches
+      }
+    );
+
+    if (combatResult) {
+      // Lock on - autoattacks keep hitting this target on each tick
+      playerConnection.gameState.targetId = targetId;
+      this.matchManager.recordPlayerDamage(playerConnection.matchId, playerId, targetId, combatResult.damage);
+
+      // Broadcast combat result to whoever can see either fighter
+      this.broadcastToInterested(playerConnection.matchId, [playerId, targetId], {
+        type: 'COMBAT_RESULT',
+        ...combatResult
+      });
+
+      // Check for player down/death
+      if (combatResult.isDowned) {
+        this.broadcastPlayerDowned(playerConnection.matchId, targetId, playerId, timestamp);
+      }
+      if (combatResult.isDead) {
+        this.handlePlayerDeath(targetId, playerId, timestamp);
+      }
+
+      console.log(`Combat: ${playerId} -> ${targetId}, damage: ${combatResult.damage}`);
+    } else {
+      // Send rejection to client
+      this.sendToPlayer(playerId, {
+        type: 'ATTACK_REJECTED',
+        reason: 'Invalid attack request',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Attack on a monster
+   */
+  handleEnemyAttackRequest(playerConnection, enemyId, timestamp) {
+    const { playerId, matchId } = playerConnection;
+    const enemy = this.enemyManager.getEnemy(matchId, enemyId);
+
+    const hit = this.serverAuthority.validateEnemyAttack(playerId, enemy, timestamp, {
+      players: this.players,
+      matches: this.matches
+    });
+
+    if (!hit) {
+      this.sendToPlayer(playerId, {
+        type: 'ATTACK_REJECTED',
+        reason: 'Invalid attack request',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // Lock on like a PvP attack so autoattacks keep hitting
+    playerConnection.gameState.targetId = enemyId;
+    const result = this.strikeEnemy(playerConnection, enemy, hit.damage, timestamp);
+
+    this.broadcastToInterested(matchId, [playerId], {
+      type: 'COMBAT_RESULT',
+      ...result,
+      isCritical: hit.isCritical
+    });
+
+    if (result.isDead) {
+      this.broadcastToMatch(matchId, {
+        type: 'ENEMY_KILLED',
+        enemyId,
+        enemyType: enemy.type,
+        killerId: playerId,
+        goldAwarded: result.goldAwarded,
+        timestamp: Date.now()
+      });
+    }
+
+    console.log(`Combat: ${playerId} -> ${enemyId}, damage: ${hit.damage}`);
+  }
+
+  /**
+   * Start reviving a downed teammate; processDownedPlayers finishes it on the tick
+   */
+  handleReviveRequest(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive) return;
+
+    const target = this.players.get(message.targetId);
+    const rules = this.serverAuthority.teamRules;
+    const timestamp = Date.now();
+    let reason = null;
+
+    if (playerConnection.gameState.downed) {
+      reason = 'You are downed';
+    } else if (!target || !this.serverAuthority.areTeammates(playerConnection, target)) {
+      reason = 'Target is not a teammate';
+    } else if (!target.gameState.alive || !target.gameState.downed) {
+      reason = 'Target is not downed';
+    } else if (target.gameState.revive && target.gameState.revive.reviverId !== playerId) {
+      reason = 'Already being revived';
+    } else if (this.serverAuthority.calculateDistance(playerConnection.gameState.position, target.gameState.position) >
+      rules.reviveRange) {
+      reason = 'Target out of range';
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, {
+        type: 'REVIVE_REJECTED',
+        targetId: message.targetId || null,
+        reason,
+        timestamp
+      });
+      return;
+    }
+
+    // Reviving is a full-time job - stop swinging at whoever you were fighting
+    playerConnection.gameState.targetId = null;
+    target.gameState.revive = {
+      reviverId: playerId,
+      startedAt: timestamp,
+      completesAt: timestamp + rules.reviveDuration
+    };
+
+    this.broadcastToTeam(playerConnection.matchId, playerConnection.gameState.teamId, {
+      type: 'REVIVE_STARTED',
+      playerId: target.playerId,
+      reviverId: playerId,
+      completesAt: target.gameState.revive.completesAt,
+      timestamp
+    });
+  }
+
+  /**
+   * SERVER-AUTHORITATIVE: Handle item action
+   */
+  handleItemAction(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.alive || playerConnection.gameState.downed) return;
+
+    const itemId = message.itemId;
+    const actionType = message.actionType; // 'PICKUP', 'USE', 'DROP'
+    const timestamp = message.timestamp || Date.now();
+
+    // Validate item action with ServerAuthority
+    const itemResult = this.serverAuthority.validateItemAction(
+      playerId, itemId, actionType, timestamp, {
+        players: this.players,
+        matches: this.matches
       }
     );
 
     if (itemResult) {
-      // Broadcast item action result
-      this.broadcastToMatch(playerConnection.matchId, {
+      // Broadcast item action result to the players who can see it
+      this.broadcastToInterested(playerConnection.matchId, [playerId], {
         type: 'ITEM_ACTION_RESULT',
         playerId,
         itemId,
@@ -577,6 +2810,15 @@ class GameServer {
         timestamp: Date.now()
       });
 
+      for (const application of itemResult.effects?.statusEffects || []) {
+        this.broadcastStatusEffectApplied(playerConnection.matchId, playerId, application);
+      }
+
+      // Equipment changes alter derived stats
+      if (['equipped', 'unequipped'].includes(itemResult.action) || itemResult.wasEquipped) {
+        this.sendStatSheet(playerId);
+      }
+
       console.log(`Item action: ${playerId} ${actionType} ${itemId}`);
     } else {
       this.sendToPlayer(playerId, {
@@ -589,6 +2831,22 @@ class GameServer {
     }
   }
 
+  /**
+   * Recalculate a player's derived stats and push the stat sheet to them
+   */
+  sendStatSheet(playerId) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection) return;
+
+    this.serverAuthority.refreshDerivedStats(playerConnection);
+
+    this.sendToPlayer(playerId, {
+      type: 'STAT_SHEET',
+      ...this.serverAuthority.describeStatSheet(playerConnection),
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Handle status update request
    */
@@ -604,6 +2862,71 @@ class GameServer {
     }
   }
 
+  /**
+   * Relay a chat line to the whole match or just the sender's team
+   */
+  handleChatMessage(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection) return;
+
+    const channel = message.channel === 'TEAM' ? 'TEAM' : 'ALL';
+    const text = typeof message.text === 'string' ? message.text.trim() : '';
+    let reason = null;
+
+    if (!text) {
+      reason = 'Message is empty';
+    } else if (text.length > this.MAX_CHAT_LENGTH) {
+      reason = `Messages are limited to ${this.MAX_CHAT_LENGTH} characters`;
+    } else if (channel === 'TEAM' && !playerConnection.gameState.teamId) {
+      reason = 'Not on a team';
+    }
+
+    if (reason) {
+      this.sendToPlayer(playerId, { type: 'CHAT_REJECTED', reason, timestamp: Date.now() });
+      return;
+    }
+
+    const chat = {
+      type: 'CHAT_MESSAGE',
+      channel,
+      playerId,
+      username: playerConnection.username,
+      teamId: playerConnection.gameState.teamId,
+      text,
+      timestamp: Date.now()
+    };
+
+    if (channel === 'TEAM') {
+      this.broadcastToTeam(playerConnection.matchId, playerConnection.gameState.teamId, chat);
+    } else {
+      this.broadcastToMatch(playerConnection.matchId, chat);
+    }
+  }
+
+  /**
+   * Mark a map position for teammates only
+   */
+  handleTeamPing(playerId, message) {
+    const playerConnection = this.players.get(playerId);
+    if (!playerConnection || !playerConnection.gameState.teamId) return;
+
+    const bounds = this.matchManager.getMatchState(playerConnection.matchId)?.map.bounds;
+    if (!isValidPosition(message.position) || !this.serverAuthority.isPositionInBounds(message.position, bounds) ||
+        !this.PING_KINDS.includes(message.kind)) {
+      this.sendToPlayer(playerId, { type: 'PING_REJECTED', reason: 'Invalid ping', timestamp: Date.now() });
+      return;
+    }
+
+    this.broadcastToTeam(playerConnection.matchId, playerConnection.gameState.teamId, {
+      type: 'TEAM_PING',
+      playerId,
+      username: playerConnection.username,
+      kind: message.kind,
+      position: clonePosition(message.position),
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Handle player death
    */
@@ -611,20 +2934,88 @@ class GameServer {
     const deadPlayer = this.players.get(deadPlayerId);
     if (!deadPlayer) return;
 
+    // Already resolved, e.g. finished off along with the rest of their team earlier this tick
+    if (this.matchManager.getMatchState(deadPlayer.matchId)?.players.get(deadPlayerId)?.status === 'DEAD') return;
+
     deadPlayer.gameState.alive = false;
     deadPlayer.gameState.health = 0;
     deadPlayer.gameState.deathTime = timestamp;
+    deadPlayer.gameState.inCombat = false;
+    deadPlayer.gameState.targetId = null;
+    deadPlayer.gameState.statusEffects = [];
+    deadPlayer.gameState.downed = false;
+    deadPlayer.gameState.revive = null;
     deadPlayer.status = 'dead';
 
+    this.matchManager.recordPlayerKill(deadPlayer.matchId, killerId, deadPlayerId);
+    if (this.enemyManager.isEnemyId(killerId)) {
+      this.matchManager.recordPveDeath(deadPlayer.matchId, deadPlayerId, killerId);
+    }
+    const trackedState = this.matchManager.getMatchState(deadPlayer.matchId)?.players.get(deadPlayerId);
+
     // Broadcast death event
     this.broadcastToMatch(deadPlayer.matchId, {
       type: 'PLAYER_DIED',
       deadPlayerId,
       killerId,
+      placement: trackedState ? trackedState.placement : null,
       timestamp: Date.now()
     });
 
     console.log(`Player ${deadPlayerId} was killed by ${killerId}`);
+
+    // With nobody left standing to revive them, downed teammates are finished off
+    this.finishStrandedTeammates(deadPlayer, timestamp);
+
+    // The last elimination ends the match straight away
+    if (!this.matchManager.isMatchActive(deadPlayer.matchId)) {
+      this.handleMatchEnded(deadPlayer.matchId);
+    }
+  }
+
+  finishStrandedTeammates(player, timestamp) {
+    if (!player.gameState.teamId) return;
+
+    const gameState = { players: this.players, matches: this.matches };
+    if (this.serverAuthority.getStandingTeammates(player, gameState).length > 0) return;
+
+    for (const playerId of this.playersByMatch.get(player.matchId) || []) {
+      const teammate = this.players.get(playerId);
+      if (teammate && teammate.gameState.alive && teammate.gameState.downed &&
+          this.serverAuthority.areTeammates(player, teammate)) {
+        this.handlePlayerDeath(playerId, teammate.gameState.downedBy, timestamp);
+      }
+    }
+  }
+
+  /**
+   * Stop ticking an ended match and announce the final placements
+   */
+  handleMatchEnded(matchId) {
+    const matchState = this.matches.get(matchId);
+    if (!matchState || matchState.status === 'ENDED') return;
+
+    matchState.status = 'ENDED';
+
+    // Nobody left to tell - the match emptied out before it ended
+    if (!this.playersByMatch.has(matchId)) {
+      this.removeMatchState(matchId);
+    }
+
+    const result = this.matchManager.getMatchState(matchId)?.result;
+    if (!result) return;
+
+    this.broadcastToMatch(matchId, {
+      type: 'MATCH_ENDED',
+      matchId,
+      reason: result.reason,
+      duration: result.duration,
+      winner: result.winner,
+      placements: result.placements,
+      timestamp: Date.now()
+    });
+
+    console.log(`Match ${matchId} ended (${result.reason}) - winner: ${result.winner ? result.winner.playerIds.join(', ') : 'none'}`);
   }
 
   /**
@@ -688,6 +3079,107 @@ class GameServer {
     console.log(`Broadcasted ${message.type} to ${sentCount} players in match ${matchId}`);
   }
 
+  /**
+   * Send a message to one team in a match
+   */
+  broadcastToTeam(matchId, teamId, message) {
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds || !teamId) return;
+
+    let sentCount = 0;
+    for (const playerId of playerIds) {
+      if (this.players.get(playerId)?.gameState.teamId === teamId) {
+        this.sendToPlayer(playerId, message);
+        sentCount++;
+      }
+    }
+
+    console.log(`Broadcasted ${message.type} to ${sentCount} players on team ${teamId} in match ${matchId}`);
+  }
+
+  /**
+   * Send a message to the players standing in one room (world tile) of a match
+   */
+  broadcastToRoom(matchId, worldPos, message) {
+    const playerIds = this.playersByMatch.get(matchId);
+    if (!playerIds) return;
+
+    let sentCount = 0;
+    for (const playerId of playerIds) {
+      const world = this.players.get(playerId)?.gameState.position.world;
+      if (world && world.x === worldPos.x && world.y === worldPos.y) {
+        this.sendToPlayer(playerId, message);
+        sentCount++;
+      }
+    }
+
+    console.log(`Broadcasted ${message.type} to ${sentCount} players in room (${worldPos.x},${worldPos.y}) of match ${matchId}`);
+  }
+
+  /**
+   * Send a message to the subjects and the players who can currently see any of them
+   * Used for events that give away where a player is
+   */
+  broadcastToInterested(matchId, subjectIds, message) {
+    let sentCount = 0;
+    for (const playerId of this.interestManager.getSubscribers(matchId, subjectIds)) {
+      if (this.players.get(playerId)?.matchId === matchId) {
+        this.sendToPlayer(playerId, message);
+        sentCount++;
+      }
+    }
+
+    console.log(`Broadcasted ${message.type} to ${sentCount} players watching ${subjectIds.join(', ')} in match ${matchId}`);
+  }
+
+  /**
+   * Re-evaluate who can see a player after they moved and tell the observers
+   * whose view changed (PLAYER_ENTERED_VIEW / PLAYER_LEFT_VIEW)
+   * options.skipSelf leaves the player's own view changes untold (e.g. on join,
+   * where CONNECTION_ESTABLISHED already carries them)
+   */
+  refreshInterest(playerConnection, options = {}) {
+    const { matchId } = playerConnection;
+    const others = [...(this.playersByMatch.get(matchId) || [])]
+      .map(id => this.players.get(id))
+      .filter(Boolean);
+
+    const changes = this.interestManager.refreshPlayer(
+      matchId, playerConnection, others,
+      (worldX, worldY) => this.matchManager.getRoomData(matchId, worldX, worldY)?.terrain || null
+    );
+
+    for (const { observerId, subjectId, visible } of changes) {
+      if (options.skipSelf && observerId === playerConnection.playerId) continue;
+      this.sendToPlayer(observerId, visible ? {
+        type: 'PLAYER_ENTERED_VIEW',
+        player: this.describeVisiblePlayer(this.players.get(subjectId)),
+        timestamp: Date.now()
+      } : {
+        type: 'PLAYER_LEFT_VIEW',
+        playerId: subjectId,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * What an observer learns about a player coming into view
+   */
+  describeVisiblePlayer(playerConnection) {
+    const { gameState } = playerConnection;
+    return {
+      playerId: playerConnection.playerId,
+      username: playerConnection.username,
+      teamId: gameState.teamId,
+      position: clonePosition(gameState.position),
+      health: gameState.health,
+      maxHealth: gameState.maxHealth,
+      alive: gameState.alive,
+      downed: gameState.downed
+    };
+  }
+
   /**
    * Generate a unique player ID
    */
@@ -717,8 +3209,9 @@ class GameServer {
 
   /**
    * Get list of connected players in a match
+   * With an observer, game state is left out for players the observer cannot see
    */
-  getConnectedPlayersList(matchId) {
+  getConnectedPlayersList(matchId, observerId = null) {
     const playerIds = this.playersByMatch.get(matchId);
     if (!playerIds) return [];
 
@@ -732,7 +3225,7 @@ class GameServer {
           status: player.status,
           connectedAt: player.connectedAt,
           ping: player.ping,
-          gameState: player.gameState
+          gameState: !observerId || this.interestManager.isSubscribed(matchId, observerId, playerId) ? player.gameState : null
         });
       }
     }
@@ -749,6 +3242,7 @@ class GameServer {
       player: {
         playerId: playerConnection.playerId,
         username: playerConnection.username,
+        teamId: playerConnection.gameState.teamId,
         status: playerConnection.status,
         connectedAt: playerConnection.connectedAt
       },
@@ -813,50 +3307,53 @@ class GameServer {
 
   /**
    * Handle position update from client (for server-side map sync)
+   * ROOM view updates carry a room cell, MAP view updates a world tile. Both are
+   * validated like any other move, so a MAP update can only confirm the current
+   * tile - rooms are left through their exits (ROOM_TRANSITION).
    */
   handlePositionUpdate(playerId, message) {
     const playerConnection = this.players.get(playerId);
     if (!playerConnection) return;
 
     const position = message.position;
-    const viewMode = message.viewMode;
     const timestamp = message.timestamp || Date.now();
+    const current = playerConnection.gameState.position;
 
-    // Update player position in MatchManager for consistent map generation
-    const updated = this.matchManager.updatePlayerPosition(playerConnection.matchId, playerId, {
-      world: viewMode === 'MAP' ? position : playerConnection.gameState.position.world,
-      room: viewMode === 'ROOM' ? position : playerConnection.gameState.position.room
-    });
+    const requestedPos = message.viewMode === 'MAP'
+      ? { world: position, room: { ...current.room } }
+      : { world: { ...current.world }, room: position };
 
-    if (updated) {
-      // Update local player connection
-      if (viewMode === 'MAP') {
-        playerConnection.gameState.position.world = position;
-      } else {
-        playerConnection.gameState.position.room = position;
-      }
-      playerConnection.gameState.lastMoveTime = timestamp;
+    this.processMovement(playerId, requestedPos, timestamp);
+  }
 
-      // Check if player needs room data for this position
-      if (viewMode === 'MAP') {
-        const roomData = this.matchManager.getRoomData(playerConnection.matchId, position.x, position.y);
-        if (roomData) {
-          this.sendToPlayer(playerId, {
-            type: 'ROOM_DATA',
-            worldPos: { x: position.x, y: position.y },
-            roomData: {
-              terrainType: roomData.terrainType,
-              terrain: roomData.terrain,
-              entities: roomData.entities,
-              size: roomData.size
-            },
-            timestamp: Date.now()
-          });
-        }
-      }
+  /**
+   * Send a player the layout and occupants of a room, waking its monsters
+   */
+  sendRoomData(playerConnection, worldX, worldY) {
+    const { playerId, matchId } = playerConnection;
+    const roomData = this.matchManager.getRoomData(matchId, worldX, worldY);
+    if (!roomData) return;
 
-      console.log(`Position update: ${playerId} moved to ${JSON.stringify(position)} in ${viewMode} view`);
-    }
+    this.activateRoom(matchId, worldX, worldY);
+
+    // Traps stay hidden until this player's team has detected them
+    const teamKey = playerConnection.gameState.teamId || playerId;
+    this.sendToPlayer(playerId, {
+      type: 'ROOM_DATA',
+      worldPos: { x: worldX, y: worldY },
+      roomData: {
+        terrainType: roomData.terrainType,
+        terrain: roomData.terrain,
+        entities: this.trapManager.maskEntities(matchId, roomData, teamKey),
+        looted: [...roomData.looted],
+        exits: roomData.exits,
+        size: roomData.size
+      },
+      enemies: this.enemyManager.getRoomEnemies(matchId, `${worldX},${worldY}`)
+        .map(enemy => this.enemyManager.describeEnemy(enemy)),
+      traps: this.trapManager.getVisibleTraps(matchId, roomData, teamKey),
+      timestamp: Date.now()
+    });
   }
 
   /**
@@ -870,6 +3367,7 @@ class GameServer {
       uptime: this.isRunning ? Date.now() - this.startTime : 0,
       connectionStatus: this.getConnectionStatus(),
       antiCheat: this.serverAuthority.getAntiCheatStats(),
+      snapshots: this.snapshotManager.getStats(),
       serverAuthority: {
         totalValidations: this.players.size, // Placeholder - could track more
         systemEnabled: true,
@@ -880,3 +3378,4 @@ class GameServer {
 }
 
 module.exports = GameServer;
+module.exports.WS_CLOSE_CODES = WS_CLOSE_CODES;
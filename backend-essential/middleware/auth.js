@@ -1,7 +1,68 @@
-const { verifyAccessToken, extractTokenFromHeader } = require('../utils/jwt');
+const { verifyAccessToken, extractTokenFromHeader, getTokenExpiration } = require('../utils/jwt');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 
+// How the HTTP middleware reports each verifySessionToken rejection
+const HTTP_AUTH_ERRORS = {
+  TOKEN_INVALID: { code: 'TOKEN_INVALID', error: 'Invalid or expired token' },
+  TOKEN_EXPIRED: { code: 'TOKEN_INVALID', error: 'Invalid or expired token' },
+  SESSION_INVALID: { code: 'SESSION_INVALID', error: 'Session not found or expired' },
+  ACCOUNT_INACTIVE: { code: 'ACCOUNT_INACTIVE', error: 'Account is deactivated' }
+};
+
+/**
+ * Check an access token against its signature and the user_sessions table
+ * Shared by the HTTP middleware and the WebSocket handshake so both apply the same rules.
+ * Resolves to { user } on success or { code, error } on rejection; database errors are thrown.
+ */
+async function verifySessionToken(token) {
+  // Verify the token
+  const decoded = verifyAccessToken(token);
+  if (!decoded) {
+    const expiresAt = getTokenExpiration(token);
+    if (expiresAt && expiresAt <= new Date()) {
+      return { code: 'TOKEN_EXPIRED', error: 'Access token expired' };
+    }
+
+    return { code: 'TOKEN_INVALID', error: 'Invalid access token' };
+  }
+
+  // Check if session exists and is active
+  const sessionResult = await db.query(`
+    SELECT us.*, u.email, u.username, u.is_active, u.is_verified
+    FROM user_sessions us
+    JOIN users u ON us.user_id = u.id
+    WHERE us.session_token = $1 AND us.is_active = true AND us.expires_at > NOW()
+  `, [token]);
+
+  if (sessionResult.rows.length === 0) {
+    return { code: 'SESSION_INVALID', error: 'Session not found or revoked' };
+  }
+
+  const session = sessionResult.rows[0];
+
+  // Check if user account is still active
+  if (!session.is_active) {
+    return { code: 'ACCOUNT_INACTIVE', error: 'Account is deactivated' };
+  }
+
+  // Update session last used time
+  await db.query(
+    'UPDATE user_sessions SET last_used = NOW() WHERE id = $1',
+    [session.id]
+  );
+
+  return {
+    user: {
+      id: decoded.userId,
+      email: session.email,
+      username: session.username,
+      is_verified: session.is_verified,
+      session_id: session.id
+    }
+  };
+}
+
 /**
  * Middleware to authenticate requests using JWT tokens
  */
@@ -18,58 +79,18 @@ async function authenticateToken(req, res, next) {
       });
     }
 
-    // Verify the token
-    const decoded = verifyAccessToken(token);
-    if (!decoded) {
+    const auth = await verifySessionToken(token);
+    if (!auth.user) {
+      const rejection = HTTP_AUTH_ERRORS[auth.code];
       return res.status(401).json({
         success: false,
-        error: 'Invalid or expired token',
-        code: 'TOKEN_INVALID'
+        error: rejection.error,
+        code: rejection.code
       });
     }
 
-    // Check if session exists and is active
-    const sessionResult = await db.query(`
-      SELECT us.*, u.email, u.username, u.is_active, u.is_verified
-      FROM user_sessions us
-      JOIN users u ON us.user_id = u.id
-      WHERE us.session_token = $1 AND us.is_active = true AND us.expires_at > NOW()
-    `, [token]);
-
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'Session not found or expired',
-        code: 'SESSION_INVALID'
-      });
-    }
-
-    const session = sessionResult.rows[0];
-
-    // Check if user account is still active
-    if (!session.is_active) {
-      return res.status(401).json({
-        success: false,
-        error: 'Account is deactivated',
-        code: 'ACCOUNT_INACTIVE'
-      });
-    }
-
-    // Update session last used time
-    await db.query(
-      'UPDATE user_sessions SET last_used = NOW() WHERE id = $1',
-      [session.id]
-    );
-
     // Attach user info to request
-    req.user = {
-      id: decoded.userId,
-      email: session.email,
-      username: session.username,
-      is_verified: session.is_verified,
-      session_id: session.id
-    };
-
+    req.user = auth.user;
     req.token = token;
 
     logger.debug('Authentication successful', {
@@ -106,41 +127,9 @@ async function optionalAuth(req, res, next) {
     }
 
     // If token is provided, validate it
-    const decoded = verifyAccessToken(token);
-    if (!decoded) {
-      req.user = null;
-      req.token = null;
-      return next();
-    }
-
-    // Check session
-    const sessionResult = await db.query(`
-      SELECT us.*, u.email, u.username, u.is_active, u.is_verified
-      FROM user_sessions us
-      JOIN users u ON us.user_id = u.id
-      WHERE us.session_token = $1 AND us.is_active = true AND us.expires_at > NOW()
-    `, [token]);
-
-    if (sessionResult.rows.length > 0) {
-      const session = sessionResult.rows[0];
-
-      if (session.is_active) {
-        req.user = {
-          id: decoded.userId,
-          email: session.email,
-          username: session.username,
-          is_verified: session.is_verified,
-          session_id: session.id
-        };
-        req.token = token;
-
-        // Update last used time
-        await db.query(
-          'UPDATE user_sessions SET last_used = NOW() WHERE id = $1',
-          [session.id]
-        );
-      }
-    }
+    const auth = await verifySessionToken(token);
+    req.user = auth.user || null;
+    req.token = auth.user ? token : null;
 
     next();
   } catch (error) {
@@ -266,8 +255,33 @@ async function requireRole(role) {
   };
 }
 
+/**
+ * Authenticate a WebSocket upgrade request
+ * Accepts the token from the Authorization header or the `token` query param,
+ * since browser WebSocket clients cannot set custom headers.
+ * Resolves to { user, token } on success or { code, error } on rejection.
+ */
+async function authenticateSocketRequest(req) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const token = extractTokenFromHeader(req.headers.authorization) || url.searchParams.get('token');
+
+    if (!token) {
+      return { code: 'TOKEN_REQUIRED', error: 'Access token is required' };
+    }
+
+    const auth = await verifySessionToken(token);
+    return auth.user ? { token, user: auth.user } : auth;
+  } catch (error) {
+    logger.error('WebSocket authentication error:', error);
+    return { code: 'AUTH_ERROR', error: 'Authentication failed' };
+  }
+}
+
 module.exports = {
   authenticateToken,
+  authenticateSocketRequest,
+  verifySessionToken,
   optionalAuth,
   requireEmailVerification,
   requirePremium,
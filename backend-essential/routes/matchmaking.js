@@ -4,7 +4,10 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const matchmaker = require('../scripts/matchmaker');
+const MatchManager = require('../MatchManager');
 const logger = require('../utils/logger');
+const { aggregatePartyRating } = require('../utils/rating');
 
 const router = express.Router();
 
@@ -52,18 +55,55 @@ router.post('/queue', [
 
   const profile = profileResult.rows[0];
   const playerRegion = region || profile.default_region;
-  const skillRating = profile.skill_rating;
 
-  // Check if player is already in queue
+  // A party queues as one unit: the leader queues everyone who has joined
+  const partyResult = await db.query(`
+    SELECT p.id, p.leader_id, pm2.user_id as member_id, pp.skill_rating as member_rating
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id AND p.status = 'ACTIVE'
+    JOIN party_members pm2 ON pm2.party_id = p.id AND pm2.status = 'JOINED'
+    JOIN player_profiles pp ON pp.user_id = pm2.user_id
+    WHERE pm.user_id = $1 AND pm.status = 'JOINED'
+  `, [req.user.id]);
+
+  const party = partyResult.rows.length > 1 ? {
+    id: partyResult.rows[0].id,
+    leaderId: partyResult.rows[0].leader_id,
+    memberIds: partyResult.rows.map(row => row.member_id)
+  } : null;
+
+  if (party && party.leaderId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the party leader can queue the party',
+      code: 'NOT_PARTY_LEADER'
+    });
+  }
+
+  // A party must fit on one team to queue for a mode
+  if (party && party.memberIds.length > MatchManager.getTeamSize(game_mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Party of ${party.memberIds.length} is too large for ${game_mode}`,
+      code: 'PARTY_TOO_LARGE'
+    });
+  }
+
+  const queueUserIds = party ? party.memberIds : [req.user.id];
+  const skillRating = party ?
+    aggregatePartyRating(partyResult.rows.map(row => row.member_rating)) :
+    profile.skill_rating;
+
+  // Check if player (or any party member) is already in queue
   const existingQueue = await db.query(
-    'SELECT id FROM matchmaking_queue WHERE user_id = $1 AND status = $2',
-    [req.user.id, 'WAITING']
+    'SELECT id FROM matchmaking_queue WHERE user_id = ANY($1) AND status = $2',
+    [queueUserIds, 'WAITING']
   );
 
   if (existingQueue.rows.length > 0) {
     return res.status(409).json({
       success: false,
-      error: 'Already in matchmaking queue',
+      error: party ? 'A party member is already in matchmaking queue' : 'Already in matchmaking queue',
       code: 'ALREADY_IN_QUEUE'
     });
   }
@@ -76,24 +116,35 @@ router.post('/queue', [
     AND ABS(skill_rating - $3) <= 200
   `, [game_mode, playerRegion, skillRating]);
 
+  // Prefer how long recent matches in this mode and region actually took to form
   const stats = queueStats.rows[0];
-  const estimatedWait = Math.max(30, Math.min(300, parseInt(stats.avg_wait_time) || 60)); // 30s - 5min
-
-  // Add to queue
-  const queueResult = await db.query(`
-    INSERT INTO matchmaking_queue (user_id, game_mode, skill_rating, region, estimated_wait, preferences)
-    VALUES ($1, $2, $3, $4, $5, $6)
-    RETURNING id, queue_time
-  `, [req.user.id, game_mode, skillRating, playerRegion, estimatedWait, JSON.stringify(preferences)]);
-
-  const queueEntry = queueResult.rows[0];
+  const observedWait = matchmaker.getEstimatedWait(game_mode, playerRegion);
+  const estimatedWait = Math.max(30, Math.min(300, observedWait ?? (parseInt(stats.avg_wait_time) || 60))); // 30s - 5min
+
+  // Add to queue - one row per party member, sharing the party rating and queue time
+  const queueEntry = await db.transaction(async(client) => {
+    let callerEntry = null;
+    for (const userId of queueUserIds) {
+      const queueResult = await client.query(`
+        INSERT INTO matchmaking_queue (user_id, game_mode, skill_rating, region, estimated_wait, preferences, party_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, queue_time
+      `, [userId, game_mode, skillRating, playerRegion, estimatedWait, JSON.stringify(preferences), party ? party.id : null]);
+
+      if (userId === req.user.id) {
+        callerEntry = queueResult.rows[0];
+      }
+    }
+    return callerEntry;
+  });
 
   logger.info(`Player joined matchmaking queue: ${req.user.username}`, {
     userId: req.user.id,
     gameMode: game_mode,
     skillRating,
     region: playerRegion,
-    queueId: queueEntry.id
+    queueId: queueEntry.id,
+    partyId: party ? party.id : null
   });
 
   res.status(201).json({
@@ -106,17 +157,24 @@ router.post('/queue', [
       region: playerRegion,
       queue_time: queueEntry.queue_time,
       estimated_wait: estimatedWait,
-      preferences
+      preferences,
+      party_id: party ? party.id : null,
+      party_size: queueUserIds.length
     }
   });
 }));
 
-// Leave matchmaking queue
+// Leave matchmaking queue (any party member pulls the whole party out)
 router.delete('/queue', authenticateToken, asyncHandler(async(req, res) => {
-  const result = await db.query(
-    'UPDATE matchmaking_queue SET status = $1 WHERE user_id = $2 AND status = $3 RETURNING id',
-    ['CANCELLED', req.user.id, 'WAITING']
-  );
+  const result = await db.query(`
+    UPDATE matchmaking_queue SET status = 'CANCELLED'
+    WHERE status = 'WAITING' AND (
+      user_id = $1 OR party_id IN (
+        SELECT party_id FROM matchmaking_queue WHERE user_id = $1 AND status = 'WAITING' AND party_id IS NOT NULL
+      )
+    )
+    RETURNING id
+  `, [req.user.id]);
 
   if (result.rows.length === 0) {
     return res.status(404).json({
@@ -139,7 +197,7 @@ router.delete('/queue', authenticateToken, asyncHandler(async(req, res) => {
 // Get queue status
 router.get('/queue/status', authenticateToken, asyncHandler(async(req, res) => {
   const queueResult = await db.query(`
-    SELECT id, game_mode, skill_rating, region, queue_time, estimated_wait, preferences, status
+    SELECT id, game_mode, skill_rating, region, queue_time, estimated_wait, preferences, status, match_code, matched_at, party_id
     FROM matchmaking_queue
     WHERE user_id = $1 AND status IN ('WAITING', 'MATCHED')
     ORDER BY queue_time DESC
@@ -155,7 +213,16 @@ router.get('/queue/status', authenticateToken, asyncHandler(async(req, res) => {
   }
 
   const queue = queueResult.rows[0];
-  const waitTime = Math.floor((Date.now() - new Date(queue.queue_time).getTime()) / 1000);
+  const waitTime = Math.floor(((queue.matched_at ? new Date(queue.matched_at).getTime() : Date.now()) -
+    new Date(queue.queue_time).getTime()) / 1000);
+
+  // Matched players connect to the game server with the match code
+  const wsProtocol = req.protocol === 'https' ? 'wss' : 'ws';
+  const match = queue.status === 'MATCHED' ? {
+    match_code: queue.match_code,
+    matched_at: queue.matched_at,
+    game_url: `${wsProtocol}://${req.get('host')}/game?match=${encodeURIComponent(queue.match_code)}`
+  } : null;
 
   res.json({
     success: true,
@@ -169,8 +236,10 @@ router.get('/queue/status', authenticateToken, asyncHandler(async(req, res) => {
       wait_time: waitTime,
       estimated_wait: queue.estimated_wait,
       preferences: JSON.parse(queue.preferences || '{}'),
-      status: queue.status
-    }
+      status: queue.status,
+      party_id: queue.party_id
+    },
+    match
   });
 }));
 
@@ -0,0 +1,408 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const db = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Largest team any mode supports (squads); invites count towards it
+const MAX_PARTY_SIZE = 4;
+
+/**
+ * Active party the user has joined, or null
+ */
+async function getJoinedParty(userId) {
+  const result = await db.query(`
+    SELECT p.id, p.leader_id, p.status, p.created_at
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id
+    WHERE pm.user_id = $1 AND pm.status = 'JOINED' AND p.status = 'ACTIVE'
+  `, [userId]);
+
+  return result.rows[0] || null;
+}
+
+async function getPartyDetails(partyId) {
+  const partyResult = await db.query(
+    'SELECT id, leader_id, status, created_at FROM parties WHERE id = $1',
+    [partyId]
+  );
+  if (partyResult.rows.length === 0) return null;
+
+  const membersResult = await db.query(`
+    SELECT pm.user_id, u.username, pm.status, pm.invited_at, pm.joined_at, pp.skill_rating
+    FROM party_members pm
+    JOIN users u ON pm.user_id = u.id
+    LEFT JOIN player_profiles pp ON pp.user_id = pm.user_id
+    WHERE pm.party_id = $1
+    ORDER BY pm.joined_at ASC NULLS LAST, pm.invited_at ASC
+  `, [partyId]);
+
+  const party = partyResult.rows[0];
+  return {
+    id: party.id,
+    leader_id: party.leader_id,
+    status: party.status,
+    created_at: party.created_at,
+    members: membersResult.rows
+      .filter(member => member.status === 'JOINED')
+      .map(member => ({
+        user_id: member.user_id,
+        username: member.username,
+        skill_rating: member.skill_rating,
+        is_leader: member.user_id === party.leader_id,
+        joined_at: member.joined_at
+      })),
+    pending_invites: membersResult.rows
+      .filter(member => member.status === 'INVITED')
+      .map(member => ({
+        user_id: member.user_id,
+        username: member.username,
+        invited_at: member.invited_at
+      }))
+  };
+}
+
+/**
+ * The party's line-up changed, so a queued party has to queue again
+ */
+async function cancelPartyQueue(client, partyId) {
+  const result = await client.query(`
+    UPDATE matchmaking_queue SET status = 'CANCELLED'
+    WHERE party_id = $1 AND status = 'WAITING'
+    RETURNING id
+  `, [partyId]);
+  return result.rows.length > 0;
+}
+
+// Get current party and pending invites
+router.get('/', authenticateToken, asyncHandler(async(req, res) => {
+  const party = await getJoinedParty(req.user.id);
+
+  const invitesResult = await db.query(`
+    SELECT p.id as party_id, u.username as leader_username, pm.invited_at
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id
+    JOIN users u ON p.leader_id = u.id
+    WHERE pm.user_id = $1 AND pm.status = 'INVITED' AND p.status = 'ACTIVE'
+    ORDER BY pm.invited_at DESC
+  `, [req.user.id]);
+
+  res.json({
+    success: true,
+    party: party ? await getPartyDetails(party.id) : null,
+    invites: invitesResult.rows
+  });
+}));
+
+// Create a party with the caller as leader
+router.post('/', authenticateToken, asyncHandler(async(req, res) => {
+  if (await getJoinedParty(req.user.id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Already in a party',
+      code: 'ALREADY_IN_PARTY'
+    });
+  }
+
+  const partyId = await db.transaction(async(client) => {
+    const partyResult = await client.query(
+      'INSERT INTO parties (leader_id) VALUES ($1) RETURNING id',
+      [req.user.id]
+    );
+    const id = partyResult.rows[0].id;
+
+    await client.query(`
+      INSERT INTO party_members (party_id, user_id, status, joined_at)
+      VALUES ($1, $2, 'JOINED', NOW())
+    `, [id, req.user.id]);
+
+    return id;
+  });
+
+  logger.info(`Party created: ${partyId}`, { leaderId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Party created',
+    party: await getPartyDetails(partyId)
+  });
+}));
+
+// Invite a player (leader only)
+router.post('/:partyId/invite', [
+  authenticateToken,
+  param('partyId').isUUID().withMessage('Invalid party id'),
+  body('username').isString().trim().notEmpty().withMessage('Username is required')
+], asyncHandler(async(req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const party = await getJoinedParty(req.user.id);
+  if (!party || party.id !== req.params.partyId || party.leader_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the party leader can invite players',
+      code: 'NOT_PARTY_LEADER'
+    });
+  }
+
+  const userResult = await db.query(
+    'SELECT id, username FROM users WHERE username = $1 AND is_active = true',
+    [req.body.username]
+  );
+  if (userResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Player not found',
+      code: 'USER_NOT_FOUND'
+    });
+  }
+  const invitee = userResult.rows[0];
+
+  const membersResult = await db.query(
+    'SELECT user_id FROM party_members WHERE party_id = $1',
+    [party.id]
+  );
+  if (membersResult.rows.some(member => member.user_id === invitee.id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Player is already in or invited to this party',
+      code: 'ALREADY_INVITED'
+    });
+  }
+  if (membersResult.rows.length >= MAX_PARTY_SIZE) {
+    return res.status(409).json({
+      success: false,
+      error: `Parties are limited to ${MAX_PARTY_SIZE} players`,
+      code: 'PARTY_FULL'
+    });
+  }
+
+  await db.query(`
+    INSERT INTO party_members (party_id, user_id, status, invited_by)
+    VALUES ($1, $2, 'INVITED', $3)
+  `, [party.id, invitee.id, req.user.id]);
+
+  logger.info(`Party invite sent: ${req.user.username} -> ${invitee.username}`, { partyId: party.id });
+
+  res.status(201).json({
+    success: true,
+    message: `Invited ${invitee.username}`,
+    party: await getPartyDetails(party.id)
+  });
+}));
+
+// Accept an invite
+router.post('/:partyId/accept', [
+  authenticateToken,
+  param('partyId').isUUID().withMessage('Invalid party id')
+], asyncHandler(async(req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { partyId } = req.params;
+
+  const inviteResult = await db.query(`
+    SELECT pm.id
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id
+    WHERE pm.party_id = $1 AND pm.user_id = $2 AND pm.status = 'INVITED' AND p.status = 'ACTIVE'
+  `, [partyId, req.user.id]);
+
+  if (inviteResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No pending invite for this party',
+      code: 'INVITE_NOT_FOUND'
+    });
+  }
+
+  if (await getJoinedParty(req.user.id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Leave your current party first',
+      code: 'ALREADY_IN_PARTY'
+    });
+  }
+
+  const queued = await db.query(
+    'SELECT id FROM matchmaking_queue WHERE user_id = $1 AND status = $2',
+    [req.user.id, 'WAITING']
+  );
+  if (queued.rows.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'Leave the matchmaking queue before joining a party',
+      code: 'ALREADY_IN_QUEUE'
+    });
+  }
+
+  await db.transaction(async(client) => {
+    await client.query(
+      'UPDATE party_members SET status = \'JOINED\', joined_at = NOW() WHERE id = $1',
+      [inviteResult.rows[0].id]
+    );
+    await cancelPartyQueue(client, partyId);
+  });
+
+  logger.info(`Player joined party: ${req.user.username}`, { partyId });
+
+  res.json({
+    success: true,
+    message: 'Joined party',
+    party: await getPartyDetails(partyId)
+  });
+}));
+
+// Leave a party (also declines a pending invite)
+router.post('/:partyId/leave', [
+  authenticateToken,
+  param('partyId').isUUID().withMessage('Invalid party id')
+], asyncHandler(async(req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { partyId } = req.params;
+
+  const membershipResult = await db.query(`
+    SELECT pm.id, pm.status, p.leader_id
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id
+    WHERE pm.party_id = $1 AND pm.user_id = $2 AND p.status = 'ACTIVE'
+  `, [partyId, req.user.id]);
+
+  if (membershipResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not a member of this party',
+      code: 'NOT_IN_PARTY'
+    });
+  }
+
+  const membership = membershipResult.rows[0];
+
+  const outcome = await db.transaction(async(client) => {
+    await client.query('DELETE FROM party_members WHERE id = $1', [membership.id]);
+
+    // Declining an invite doesn't change the line-up
+    if (membership.status !== 'JOINED') return 'DECLINED';
+
+    await cancelPartyQueue(client, partyId);
+
+    if (membership.leader_id !== req.user.id) return 'LEFT';
+
+    // Leadership passes to the longest-standing member; an empty party disbands
+    const successor = await client.query(`
+      SELECT user_id FROM party_members
+      WHERE party_id = $1 AND status = 'JOINED'
+      ORDER BY joined_at ASC
+      LIMIT 1
+    `, [partyId]);
+
+    if (successor.rows.length > 0) {
+      await client.query('UPDATE parties SET leader_id = $1 WHERE id = $2', [successor.rows[0].user_id, partyId]);
+      return 'LEADER_CHANGED';
+    }
+
+    await client.query('UPDATE parties SET status = \'DISBANDED\' WHERE id = $1', [partyId]);
+    await client.query('DELETE FROM party_members WHERE party_id = $1', [partyId]);
+    return 'DISBANDED';
+  });
+
+  logger.info(`Player left party: ${req.user.username}`, { partyId, outcome });
+
+  res.json({
+    success: true,
+    message: outcome === 'DECLINED' ? 'Invite declined' : 'Left party',
+    outcome
+  });
+}));
+
+// Remove a member or revoke an invite (leader only)
+router.post('/:partyId/kick', [
+  authenticateToken,
+  param('partyId').isUUID().withMessage('Invalid party id'),
+  body('user_id').isUUID().withMessage('Invalid user id')
+], asyncHandler(async(req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { partyId } = req.params;
+  const { user_id: targetId } = req.body;
+
+  const party = await getJoinedParty(req.user.id);
+  if (!party || party.id !== partyId || party.leader_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the party leader can remove players',
+      code: 'NOT_PARTY_LEADER'
+    });
+  }
+
+  if (targetId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Use leave to exit your own party',
+      code: 'CANNOT_KICK_SELF'
+    });
+  }
+
+  const removed = await db.transaction(async(client) => {
+    const result = await client.query(
+      'DELETE FROM party_members WHERE party_id = $1 AND user_id = $2 RETURNING status',
+      [partyId, targetId]
+    );
+    if (result.rows.length === 0) return false;
+
+    if (result.rows[0].status === 'JOINED') {
+      await cancelPartyQueue(client, partyId);
+    }
+    return true;
+  });
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Player is not in this party',
+      code: 'NOT_IN_PARTY'
+    });
+  }
+
+  logger.info(`Player removed from party by ${req.user.username}`, { partyId, targetId });
+
+  res.json({
+    success: true,
+    message: 'Player removed from party',
+    party: await getPartyDetails(partyId)
+  });
+}));
+
+module.exports = router;
@@ -318,6 +318,68 @@ router.get('/stats', authenticateToken, asyncHandler(async(req, res) => {
   });
 }));
 
+// Get skill rating history (one entry per rated match, newest first)
+router.get('/rating-history', authenticateToken, asyncHandler(async(req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = (page - 1) * limit;
+
+  const historyResult = await db.query(`
+    SELECT
+      m.id as match_id, m.match_code, m.game_mode, m.end_time,
+      mp.placement, mp.rating_before, mp.rating_after
+    FROM match_participants mp
+    JOIN matches m ON mp.match_id = m.id
+    WHERE mp.user_id = $1 AND mp.rating_after IS NOT NULL
+    ORDER BY m.end_time DESC
+    LIMIT $2 OFFSET $3
+  `, [req.user.id, limit, offset]);
+
+  const totalResult = await db.query(
+    'SELECT COUNT(*) FROM match_participants WHERE user_id = $1 AND rating_after IS NOT NULL',
+    [req.user.id]
+  );
+
+  const profileResult = await db.query(
+    'SELECT skill_rating FROM player_profiles WHERE user_id = $1',
+    [req.user.id]
+  );
+
+  if (profileResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Player profile not found',
+      code: 'PROFILE_NOT_FOUND'
+    });
+  }
+
+  const total = parseInt(totalResult.rows[0].count);
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    success: true,
+    current_rating: profileResult.rows[0].skill_rating,
+    history: historyResult.rows.map(entry => ({
+      match_id: entry.match_id,
+      match_code: entry.match_code,
+      game_mode: entry.game_mode,
+      end_time: entry.end_time,
+      placement: entry.placement,
+      rating_before: entry.rating_before,
+      rating_after: entry.rating_after,
+      rating_change: entry.rating_after - entry.rating_before
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: totalPages,
+      has_next: page < totalPages,
+      has_prev: page > 1
+    }
+  });
+}));
+
 // Get user inventory
 router.get('/inventory', authenticateToken, asyncHandler(async(req, res) => {
   const inventoryResult = await db.query(`
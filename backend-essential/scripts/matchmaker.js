@@ -0,0 +1,300 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { generateSecureToken } = require('../utils/security');
+const { GENERATED_MAP_NAME } = require('../utils/matchResults');
+
+/**
+ * Matchmaker - turns WAITING matchmaking_queue rows into live game matches
+ *
+ * Every pass groups the queue by game mode and region. The longest-waiting
+ * player (or party) anchors a group and pulls in others within its skill
+ * window, which widens the longer it has waited. Parties stay on one team.
+ */
+class Matchmaker {
+  constructor() {
+    this.gameServer = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+
+    this.passInterval = parseInt(process.env.MATCHMAKING_INTERVAL) || 5000; // 5 seconds
+
+    this.skillWindow = {
+      base: 100, // rating points either side at queue time
+      widenPerSecond: 5,
+      max: 1000
+    };
+
+    // Start short-handed once the anchor has waited this long
+    this.fillWaitSeconds = 30;
+
+    // Recent queue times per "mode:region", used for estimated_wait
+    this.recentWaits = new Map();
+    this.recentWaitSamples = 20;
+
+    this.stats = {
+      passes: 0,
+      matchesCreated: 0,
+      playersMatched: 0,
+      lastPassAt: null
+    };
+  }
+
+  // Start matching (call this once the game server is up)
+  start(gameServer) {
+    if (this.isRunning) return;
+
+    this.gameServer = gameServer;
+    this.interval = setInterval(() => {
+      this.runPass().catch(error => logger.error('Matchmaking pass failed:', error));
+    }, this.passInterval);
+    this.isRunning = true;
+
+    logger.info('🎯 Matchmaker started', { interval: this.passInterval });
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Skill window (rating points either side) for a player who has waited waitSeconds
+   */
+  getSkillWindow(waitSeconds) {
+    return Math.min(this.skillWindow.max, this.skillWindow.base + waitSeconds * this.skillWindow.widenPerSecond);
+  }
+
+  /**
+   * Average recent queue time for a mode and region, or null without samples
+   */
+  getEstimatedWait(gameMode, region) {
+    const samples = this.recentWaits.get(`${gameMode}:${region}`);
+    if (!samples || samples.length === 0) return null;
+
+    return Math.round(samples.reduce((sum, wait) => sum + wait, 0) / samples.length);
+  }
+
+  recordWaitTimes(gameMode, region, waits) {
+    const key = `${gameMode}:${region}`;
+    const samples = this.recentWaits.get(key) || [];
+    samples.push(...waits);
+    this.recentWaits.set(key, samples.slice(-this.recentWaitSamples));
+  }
+
+  /**
+   * One matchmaking pass over the whole queue
+   */
+  async runPass() {
+    if (this.isProcessing || !this.gameServer || !db.isConnected) return;
+
+    this.isProcessing = true;
+    try {
+      const queueResult = await db.query(`
+        SELECT mq.id, mq.user_id, mq.party_id, mq.game_mode, mq.skill_rating, mq.region, mq.queue_time, u.username
+        FROM matchmaking_queue mq
+        JOIN users u ON mq.user_id = u.id
+        WHERE mq.status = 'WAITING'
+        ORDER BY mq.queue_time ASC
+      `);
+
+      const now = Date.now();
+      const buckets = new Map(); // "mode:region" -> entries, oldest first
+      for (const row of queueResult.rows) {
+        const key = `${row.game_mode}:${row.region}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push({
+          ...row,
+          waitSeconds: Math.floor((now - new Date(row.queue_time).getTime()) / 1000)
+        });
+      }
+
+      for (const entries of buckets.values()) {
+        for (const group of this.formGroups(entries, entries[0].game_mode)) {
+          await this.createMatchForGroup(group);
+        }
+      }
+
+      this.stats.passes++;
+      this.stats.lastPassAt = new Date();
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Collapse queue rows into matchmaking units: a queued party is one unit
+   * entries must be ordered oldest first
+   */
+  buildUnits(entries) {
+    const units = [];
+    const parties = new Map(); // party_id -> unit
+    for (const entry of entries) {
+      if (entry.party_id && parties.has(entry.party_id)) {
+        parties.get(entry.party_id).entries.push(entry);
+        continue;
+      }
+
+      const unit = {
+        entries: [entry],
+        skillRating: entry.skill_rating, // party rows all carry the party's aggregate rating
+        waitSeconds: entry.waitSeconds
+      };
+      units.push(unit);
+      if (entry.party_id) {
+        parties.set(entry.party_id, unit);
+      }
+    }
+    return units;
+  }
+
+  /**
+   * Put a unit on the fullest team with room, or open a new team
+   * Returns false if the unit doesn't fit
+   */
+  placeUnit(teams, unit, teamSize, maxTeams) {
+    const size = unit.entries.length;
+    const team = teams
+      .filter(candidate => candidate.size + size <= teamSize)
+      .sort((a, b) => b.size - a.size)[0];
+
+    if (team) {
+      team.units.push(unit);
+      team.size += size;
+      return true;
+    }
+
+    if (teams.length < maxTeams && size <= teamSize) {
+      teams.push({ units: [unit], size });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Split one mode/region bucket into match-sized groups of teams
+   * entries must be ordered oldest first
+   */
+  formGroups(entries, gameMode) {
+    const matchManager = this.gameServer.matchManager;
+    const teamSize = matchManager.getTeamSize(gameMode);
+    const maxTeams = matchManager.MAX_PLAYERS_PER_MATCH;
+    const minTeams = matchManager.MIN_PLAYERS_TO_START;
+
+    const remaining = this.buildUnits(entries);
+    const groups = [];
+    let anchorIndex = 0;
+
+    while (anchorIndex < remaining.length) {
+      const anchor = remaining[anchorIndex];
+      const window = this.getSkillWindow(anchor.waitSeconds);
+      const teams = [];
+
+      if (this.placeUnit(teams, anchor, teamSize, maxTeams)) {
+        // Closest ratings first so a wide window still prefers even matches
+        const candidates = remaining
+          .filter(unit => unit !== anchor && Math.abs(unit.skillRating - anchor.skillRating) <= window)
+          .sort((a, b) => Math.abs(a.skillRating - anchor.skillRating) - Math.abs(b.skillRating - anchor.skillRating));
+
+        for (const unit of candidates) {
+          this.placeUnit(teams, unit, teamSize, maxTeams);
+        }
+      }
+
+      const isFull = teams.length === maxTeams && teams.every(team => team.size === teamSize);
+      const canStartShort = teams.length >= minTeams && anchor.waitSeconds >= this.fillWaitSeconds;
+
+      // Nobody fits this unit yet - try the next oldest as anchor
+      if (!isFull && !canStartShort) {
+        anchorIndex++;
+        continue;
+      }
+
+      groups.push(teams.map(team => team.units.flatMap(unit => unit.entries)));
+      for (const team of teams) {
+        for (const unit of team.units) {
+          remaining.splice(remaining.indexOf(unit), 1);
+        }
+      }
+      anchorIndex = 0;
+    }
+
+    return groups;
+  }
+
+  /**
+   * Claim a group's queue rows and start its match
+   * teams is a list of queue-entry lists; rows cancelled since the pass began abort the whole group
+   */
+  async createMatchForGroup(teams) {
+    const group = teams.flat();
+    const { game_mode: gameMode, region } = group[0];
+    const matchManager = this.gameServer.matchManager;
+    const matchCode = `M${generateSecureToken(6).toUpperCase()}`;
+    const queueIds = group.map(entry => entry.id);
+
+    try {
+      await db.transaction(async(client) => {
+        const claimed = await client.query(`
+          UPDATE matchmaking_queue
+          SET status = 'MATCHED', match_code = $1, matched_at = NOW()
+          WHERE id = ANY($2) AND status = 'WAITING'
+          RETURNING id
+        `, [matchCode, queueIds]);
+
+        if (claimed.rows.length !== queueIds.length) {
+          throw new Error('Queue entries changed during matchmaking');
+        }
+
+        await client.query(`
+          INSERT INTO matches (match_code, game_mode, map_name, region, max_players, current_players, status, start_time)
+          VALUES ($1, $2, $3, $4, $5, $6, 'IN_PROGRESS', NOW())
+        `, [matchCode, gameMode, GENERATED_MAP_NAME, region, matchManager.getMaxPlayers(gameMode), group.length]);
+      });
+    } catch (error) {
+      logger.warn(`Matchmaking group skipped (${gameMode}/${region}): ${error.message}`);
+      return null;
+    }
+
+    // Free-for-all players are their own team; team modes number the teams from 1
+    const isTeamMode = matchManager.getTeamSize(gameMode) > 1;
+    const players = teams.flatMap((team, index) => team.map(entry => ({
+      playerId: entry.user_id,
+      username: entry.username,
+      teamId: isTeamMode ? index + 1 : null
+    })));
+    this.gameServer.createNewMatch(matchCode, players, { gameMode, region, matchCode, awaitPlayers: true });
+
+    this.recordWaitTimes(gameMode, region, group.map(entry => entry.waitSeconds));
+    this.stats.matchesCreated++;
+    this.stats.playersMatched += group.length;
+
+    logger.info(`Match created by matchmaker: ${matchCode}`, {
+      gameMode,
+      region,
+      teams: teams.map(team => team.map(entry => entry.username)),
+      skillRatings: group.map(entry => entry.skill_rating)
+    });
+
+    return matchCode;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      passInterval: this.passInterval
+    };
+  }
+}
+
+// Singleton instance
+const matchmaker = new Matchmaker();
+
+module.exports = matchmaker;
@@ -28,6 +28,7 @@ console.log('[BOOT] 5: routes');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const matchmakingRoutes = require('./routes/matchmaking');
+const partyRoutes = require('./routes/party');
 const monitoringRoutes = require('./routes/monitoring');
 
 console.log('[BOOT] 6: middleware');
@@ -36,7 +37,9 @@ const bandwidthProtection = require('./middleware/bandwidth-protection');
 const autoShutdown = require('./middleware/auto-shutdown');
 const costMonitor = require('./scripts/cost-monitor');
 const startupDetector = require('./scripts/startup-detector');
+const matchmaker = require('./scripts/matchmaker');
 const logger = require('./utils/logger');
+const GameServer = require('./gameServer');
 console.log('[BOOT] 7: all requires done');
 
 const app = express();
@@ -142,6 +145,7 @@ app.use('/monitoring', monitoringRoutes);
 app.use(`/api/${apiVersion}/auth`, authLimiter, authRoutes);
 app.use(`/api/${apiVersion}/user`, userRoutes);
 app.use(`/api/${apiVersion}/matchmaking`, matchmakingRoutes);
+app.use(`/api/${apiVersion}/party`, partyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -152,9 +156,11 @@ app.get('/', (req, res) => {
     documentation: `${req.protocol}://${req.get('host')}/docs`,
     endpoints: {
       health: '/health',
+      game: '/game',
       auth: `/api/${apiVersion}/auth`,
       user: `/api/${apiVersion}/user`,
-      matchmaking: `/api/${apiVersion}/matchmaking`
+      matchmaking: `/api/${apiVersion}/matchmaking`,
+      party: `/api/${apiVersion}/party`
     }
   });
 });
@@ -186,10 +192,20 @@ async function startServer() {
     logger.info(`🔗 API Base URL: http://localhost:${PORT}/api/${apiVersion}`);
   });
 
+  // Real-time game server shares the HTTP server (WebSocket on /game)
+  const gameServer = new GameServer(server);
+  gameServer.start();
+  app.locals.gameServer = gameServer;
+
+  // Matchmaker turns queued players into matches on this game server
+  matchmaker.start(gameServer);
+
   // Graceful shutdown handlers
   const gracefulShutdown = async(signal) => {
     logger.info(`${signal} received, shutting down gracefully`);
     startupDetector.recordShutdown('manual_signal', { signal });
+    matchmaker.stop();
+    gameServer.stop();
     server.close(async() => {
       logger.info('HTTP server closed');
       try {
@@ -0,0 +1,116 @@
+// Loot tables for the CHEST and ITEM entities in generated rooms.
+//
+// Tables are JSON (config/loot-tables.json, or LOOT_TABLES_PATH) so drops can be
+// tuned without a code change. A roll first picks a rarity tier from the source's
+// tier weights (a room type may override them), then a weighted entry of that tier
+// from the room type's table, falling back to the default table.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOOT_TABLES_PATH = path.join(__dirname, '..', 'config', 'loot-tables.json');
+
+// Most common first; a tier with nothing to drop falls back to the one before it
+const RARITY_TIERS = ['common', 'uncommon', 'rare'];
+
+/**
+ * Read and sanity-check a loot table file
+ */
+function loadLootTables(filePath = process.env.LOOT_TABLES_PATH || DEFAULT_LOOT_TABLES_PATH) {
+  const tables = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+
+  if (!tables.sources || !tables.roomTypes || !tables.roomTypes.default) {
+    throw new Error(`Loot tables in ${filePath} need "sources" and a "default" room type`);
+  }
+
+  for (const [source, rules] of Object.entries(tables.sources)) {
+    if (!Array.isArray(rules.rolls) || rules.rolls.length !== 2 || !rules.tierWeights) {
+      throw new Error(`Loot source ${source} needs "rolls": [min, max] and "tierWeights"`);
+    }
+
+    const unknownTier = Object.keys(rules.tierWeights).find(tier => !RARITY_TIERS.includes(tier));
+    if (unknownTier) {
+      throw new Error(`Loot source ${source} has unknown rarity tier ${unknownTier}`);
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Remove entries for items the item database doesn't know
+ * Returns the ids that were removed
+ */
+function pruneUnknownItems(tables, itemDatabase) {
+  const unknown = new Set();
+
+  for (const room of Object.values(tables.roomTypes)) {
+    room.entries = (room.entries || []).filter(entry => {
+      if (itemDatabase[entry.item]) return true;
+      unknown.add(entry.item);
+      return false;
+    });
+  }
+
+  return [...unknown];
+}
+
+function pickWeighted(entries, random) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * total;
+
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+function rollRange([min, max], random) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Roll the drops for one CHEST or ITEM entity
+ * random must be seeded by the caller so the same room always yields the same loot
+ * Returns [{ templateId, rarity, quantity }]
+ */
+function rollLoot(tables, itemDatabase, source, roomType, random) {
+  const sourceRules = tables.sources[source];
+  if (!sourceRules) return [];
+
+  const room = tables.roomTypes[roomType];
+  const entries = room && room.entries && room.entries.length > 0 ? room.entries : tables.roomTypes.default.entries;
+  const tierWeights = Object.entries(room?.tierWeights?.[source] || sourceRules.tierWeights)
+    .map(([tier, weight]) => ({ tier, weight }));
+
+  const drops = [];
+  const rolls = rollRange(sourceRules.rolls, random);
+
+  for (let i = 0; i < rolls; i++) {
+    const { tier } = pickWeighted(tierWeights, random);
+
+    let candidates = [];
+    for (let t = RARITY_TIERS.indexOf(tier); t >= 0 && candidates.length === 0; t--) {
+      candidates = entries.filter(entry => itemDatabase[entry.item].rarity === RARITY_TIERS[t]);
+    }
+    if (candidates.length === 0) continue;
+
+    const entry = pickWeighted(candidates, random);
+    drops.push({
+      templateId: entry.item,
+      rarity: itemDatabase[entry.item].rarity,
+      quantity: rollRange(entry.quantity || [1, 1], random)
+    });
+  }
+
+  return drops;
+}
+
+module.exports = {
+  DEFAULT_LOOT_TABLES_PATH,
+  RARITY_TIERS,
+  loadLootTables,
+  pruneUnknownItems,
+  rollLoot
+};
@@ -0,0 +1,197 @@
+const db = require('../database/connection');
+const logger = require('./logger');
+const { calculateRatingChanges } = require('./rating');
+
+// Maps are generated per seed, so the seed (in match_data) identifies the map
+const GENERATED_MAP_NAME = 'procedural';
+const DEFAULT_REGION = 'NA';
+
+/**
+ * Integer team ids for match_participants; solo players get null
+ */
+function buildTeamIds(players) {
+  const teamIds = new Map();
+  for (const playerState of players) {
+    if (playerState.teamId && !teamIds.has(playerState.teamId)) {
+      teamIds.set(playerState.teamId, teamIds.size + 1);
+    }
+  }
+  return teamIds;
+}
+
+/**
+ * Rate a finished match from the locked profile rows
+ * Players without a profile are left out; a match needs two sides to be rated
+ */
+function rateMatch(players, profileRows) {
+  const profiles = new Map(profileRows.map(row => [row.user_id, row]));
+  const rated = players
+    .filter(playerState => profiles.has(playerState.playerId))
+    .map(playerState => ({
+      playerId: playerState.playerId,
+      teamKey: playerState.teamId || playerState.playerId,
+      placement: playerState.placement,
+      rating: profiles.get(playerState.playerId).skill_rating,
+      matchesPlayed: profiles.get(playerState.playerId).total_matches
+    }));
+
+  if (new Set(rated.map(player => player.teamKey)).size < 2) {
+    return new Map();
+  }
+
+  return calculateRatingChanges(rated);
+}
+
+/**
+ * Persist a finished match: the match row, one participant row per player and
+ * the players' profile totals and ratings, all in a single transaction
+ * match is the MatchManager match state, result what endMatch returned
+ */
+async function saveMatchResults(match, result) {
+  if (!db.isConnected) {
+    logger.warn(`Match ${match.matchId} results not saved - database unavailable`);
+    return null;
+  }
+
+  const players = [...match.players.values()];
+  const playerStats = new Map(result.stats.playerStats.map(stats => [stats.playerId, stats]));
+  const teamIds = buildTeamIds(players);
+
+  try {
+    const matchRowId = await db.transaction(async(client) => {
+      const startTime = new Date(match.startTime);
+      const endTime = new Date(match.endTime);
+      const winnerUserId = result.stats.winner ? result.stats.winner.playerId : null;
+      const matchData = JSON.stringify({
+        matchId: match.matchId,
+        seed: match.seed,
+        reason: result.reason,
+        duration: result.duration,
+        winner: result.winner,
+        totalKills: result.stats.matchStats.totalKills,
+        roomsExplored: result.stats.matchStats.totalRoomsExplored
+      });
+
+      // Matchmade games already have an IN_PROGRESS row under their code from the matchmaker.
+      // A finished row is never written over - every other match gets a fresh row.
+      let matchResult = await client.query(`
+        UPDATE matches SET
+          game_mode = $2,
+          current_players = $3,
+          status = 'COMPLETED',
+          start_time = $4,
+          end_time = $5,
+          winner_user_id = $6,
+          match_data = $7
+        WHERE match_code = $1 AND status <> 'COMPLETED'
+        RETURNING id
+      `, [match.matchCode, match.gameMode, players.length, startTime, endTime, winnerUserId, matchData]);
+
+      if (matchResult.rows.length === 0) {
+        matchResult = await client.query(`
+          INSERT INTO matches (
+            match_code, game_mode, map_name, region, max_players, current_players,
+            status, start_time, end_time, winner_user_id, match_data
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, 'COMPLETED', $7, $8, $9, $10)
+          RETURNING id
+        `, [
+          match.matchCode,
+          match.gameMode,
+          GENERATED_MAP_NAME,
+          match.region || DEFAULT_REGION,
+          match.maxPlayers,
+          players.length,
+          startTime,
+          endTime,
+          winnerUserId,
+          matchData
+        ]);
+      }
+
+      const matchId = matchResult.rows[0].id;
+
+      const profileResult = await client.query(`
+        SELECT user_id, skill_rating, total_matches
+        FROM player_profiles
+        WHERE user_id = ANY($1)
+        FOR UPDATE
+      `, [players.map(playerState => playerState.playerId)]);
+      const ratingChanges = rateMatch(players, profileResult.rows);
+
+      for (const playerState of players) {
+        const stats = playerStats.get(playerState.playerId);
+        const rating = ratingChanges.get(playerState.playerId);
+
+        await client.query(`
+          INSERT INTO match_participants (
+            match_id, user_id, placement, kills, deaths, damage_dealt, survival_time, team_id, left_at,
+            rating_before, rating_after
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          matchId,
+          playerState.playerId,
+          playerState.placement,
+          playerState.kills,
+          playerState.deaths,
+          Math.round(playerState.damageDealt || 0),
+          Math.floor(stats.survivalTime / 1000),
+          playerState.teamId ? teamIds.get(playerState.teamId) : null,
+          new Date(playerState.deathTime || match.endTime),
+          rating ? rating.before : null,
+          rating ? rating.after : null
+        ]);
+
+        await client.query(`
+          UPDATE player_profiles SET
+            total_matches = total_matches + 1,
+            total_wins = total_wins + $2,
+            total_kills = total_kills + $3,
+            total_deaths = total_deaths + $4,
+            best_placement = LEAST(best_placement, $5),
+            skill_rating = COALESCE($6, skill_rating)
+          WHERE user_id = $1
+        `, [
+          playerState.playerId,
+          playerState.placement === 1 ? 1 : 0,
+          playerState.kills,
+          playerState.deaths,
+          playerState.placement,
+          rating ? rating.after : null
+        ]);
+      }
+
+      // Matched queue entries are done with once their match is over
+      await client.query(`
+        UPDATE matchmaking_queue SET status = 'COMPLETED'
+        WHERE match_code = $1 AND status = 'MATCHED'
+      `, [match.matchCode]);
+
+      return matchId;
+    });
+
+    logger.info(`Match results saved: ${match.matchId}`, {
+      matchRowId,
+      matchCode: match.matchCode,
+      reason: result.reason,
+      players: players.length
+    });
+
+    return matchRowId;
+  } catch (error) {
+    // Placements, stats and ratings for this match are lost - make that loud
+    logger.error(`Failed to save match results for ${match.matchId}`, {
+      matchCode: match.matchCode,
+      players: players.length,
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  GENERATED_MAP_NAME,
+  saveMatchResults
+};
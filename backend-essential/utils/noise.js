@@ -0,0 +1,79 @@
+// Seeded noise and random helpers for deterministic map generation.
+// Everything here is a pure function of its inputs so the same seed always
+// produces the same world.
+
+/**
+ * Integer hash of a lattice point, well mixed so neighbours are uncorrelated
+ */
+function hash2D(x, y, seed) {
+  let h = (seed | 0) ^ Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function latticeValue(x, y, seed) {
+  return hash2D(x, y, seed) / 4294967296;
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Value noise in [0, 1): random values on an integer lattice, smoothly interpolated
+ */
+function valueNoise2D(x, y, seed) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = smoothstep(x - x0);
+  const ty = smoothstep(y - y0);
+
+  const top = latticeValue(x0, y0, seed) * (1 - tx) + latticeValue(x0 + 1, y0, seed) * tx;
+  const bottom = latticeValue(x0, y0 + 1, seed) * (1 - tx) + latticeValue(x0 + 1, y0 + 1, seed) * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Fractal (fBm) value noise in [0, 1)
+ * options: { frequency, octaves, persistence, lacunarity }
+ */
+function fractalNoise2D(x, y, seed, options = {}) {
+  const { frequency = 0.05, octaves = 4, persistence = 0.5, lacunarity = 2 } = options;
+
+  let amplitude = 1;
+  let currentFrequency = frequency;
+  let total = 0;
+  let amplitudeSum = 0;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    total += valueNoise2D(x * currentFrequency, y * currentFrequency, seed + octave * 1013) * amplitude;
+    amplitudeSum += amplitude;
+    amplitude *= persistence;
+    currentFrequency *= lacunarity;
+  }
+
+  return total / amplitudeSum;
+}
+
+/**
+ * Seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  hash2D,
+  valueNoise2D,
+  fractalNoise2D,
+  createSeededRandom
+};
@@ -0,0 +1,134 @@
+// Shared coordinate model for the game server.
+//
+// A position is { world: { x, y }, room: { x, y } }:
+//   world - integer world tile (MAP view), bounded by the match map bounds
+//   room  - cell inside that tile's room (ROOM view), 0 <= x,y < ROOM_SIZE
+//
+// Distances, ranges and speeds are measured in room cells. The absolute form
+// { x, y } = world * ROOM_SIZE + room is what the maths runs on.
+
+const ROOM_SIZE = 20;
+
+const DEFAULT_WORLD_BOUNDS = { minX: -50, maxX: 50, minY: -50, maxY: 50 };
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check a value has the { world, room } shape with numeric coordinates
+ */
+function isValidPosition(position) {
+  return Boolean(position && position.world && position.room &&
+    Number.isInteger(position.world.x) && Number.isInteger(position.world.y) &&
+    isFiniteNumber(position.room.x) && isFiniteNumber(position.room.y));
+}
+
+function toAbsolute(position) {
+  return {
+    x: position.world.x * ROOM_SIZE + position.room.x,
+    y: position.world.y * ROOM_SIZE + position.room.y
+  };
+}
+
+function fromAbsolute(point) {
+  const worldX = Math.floor(point.x / ROOM_SIZE);
+  const worldY = Math.floor(point.y / ROOM_SIZE);
+
+  return {
+    world: { x: worldX, y: worldY },
+    room: { x: point.x - worldX * ROOM_SIZE, y: point.y - worldY * ROOM_SIZE }
+  };
+}
+
+/**
+ * Carry room coordinates that spill past the room edge into the world tile
+ */
+function normalizePosition(position) {
+  return fromAbsolute(toAbsolute(position));
+}
+
+function offsetPosition(position, dx, dy) {
+  const point = toAbsolute(position);
+  return fromAbsolute({ x: point.x + dx, y: point.y + dy });
+}
+
+function distanceBetween(a, b) {
+  const pointA = toAbsolute(a);
+  const pointB = toAbsolute(b);
+  const dx = pointA.x - pointB.x;
+  const dy = pointA.y - pointB.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Grid cells crossed by a straight line (cell = floor of the coordinate), in order.
+ * On an exact corner both neighbouring cells are visited so diagonal moves
+ * cannot slip between two blocked cells.
+ */
+function traceGridLine(from, to) {
+  let x = Math.floor(from.x);
+  let y = Math.floor(from.y);
+  const cells = [{ x, y }];
+
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  const tDeltaX = stepX ? Math.abs(1 / dx) : Infinity;
+  const tDeltaY = stepY ? Math.abs(1 / dy) : Infinity;
+  let tMaxX = stepX > 0 ? (x + 1 - from.x) * tDeltaX : stepX < 0 ? (from.x - x) * tDeltaX : Infinity;
+  let tMaxY = stepY > 0 ? (y + 1 - from.y) * tDeltaY : stepY < 0 ? (from.y - y) * tDeltaY : Infinity;
+
+  const steps = Math.abs(Math.floor(to.x) - x) + Math.abs(Math.floor(to.y) - y);
+  for (let i = 0; i < steps; i++) {
+    if (tMaxX < tMaxY) {
+      x += stepX;
+      tMaxX += tDeltaX;
+    } else {
+      y += stepY;
+      tMaxY += tDeltaY;
+    }
+    cells.push({ x, y });
+  }
+
+  return cells;
+}
+
+function isPositionInBounds(position, bounds = DEFAULT_WORLD_BOUNDS) {
+  if (!isValidPosition(position)) return false;
+
+  return position.world.x >= bounds.minX && position.world.x <= bounds.maxX &&
+    position.world.y >= bounds.minY && position.world.y <= bounds.maxY &&
+    position.room.x >= 0 && position.room.x < ROOM_SIZE &&
+    position.room.y >= 0 && position.room.y < ROOM_SIZE;
+}
+
+/**
+ * Room cell a position stands in
+ */
+function getRoomCell(position) {
+  return { x: Math.floor(position.room.x), y: Math.floor(position.room.y) };
+}
+
+function clonePosition(position) {
+  return {
+    world: { x: position.world.x, y: position.world.y },
+    room: { x: position.room.x, y: position.room.y }
+  };
+}
+
+module.exports = {
+  ROOM_SIZE,
+  DEFAULT_WORLD_BOUNDS,
+  isValidPosition,
+  toAbsolute,
+  fromAbsolute,
+  normalizePosition,
+  offsetPosition,
+  distanceBetween,
+  traceGridLine,
+  isPositionInBounds,
+  getRoomCell,
+  clonePosition
+};
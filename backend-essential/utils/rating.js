@@ -0,0 +1,87 @@
+// Skill rating engine - Elo extended to free-for-all and team placements.
+//
+// A match is scored as every team playing every other team once: finishing
+// above a team is a win, level with it a draw, below it a loss. Teams are
+// rated on their members' average and every member moves by the team's result.
+
+const RATING_RULES = {
+  defaultRating: 1000,
+  minRating: 100,
+  scale: 400, // rating gap at which the stronger side is expected to win 10:1
+  kFactor: 32,
+  provisionalKFactor: 48, // new players settle faster
+  provisionalMatches: 10,
+  partyPeakWeight: 0.5 // how far a party's rating leans from its mean towards its best player
+};
+
+/**
+ * Probability that a side rated ratingA finishes above one rated ratingB
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / RATING_RULES.scale));
+}
+
+function getKFactor(matchesPlayed) {
+  return matchesPlayed < RATING_RULES.provisionalMatches ? RATING_RULES.provisionalKFactor : RATING_RULES.kFactor;
+}
+
+/**
+ * Matchmaking rating for a party queueing as one unit
+ * Leaning towards the best player stops a strong player carrying low-rated
+ * friends into easy lobbies
+ */
+function aggregatePartyRating(ratings) {
+  const mean = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+  const peak = Math.max(...ratings);
+  return Math.round(mean + (peak - mean) * RATING_RULES.partyPeakWeight);
+}
+
+/**
+ * New ratings for one finished match
+ * players: [{ playerId, teamKey, placement, rating, matchesPlayed }]
+ * Returns Map playerId -> { before, after, change }
+ */
+function calculateRatingChanges(players) {
+  const teams = new Map(); // teamKey -> { placement, members }
+  for (const player of players) {
+    if (!teams.has(player.teamKey)) {
+      teams.set(player.teamKey, { placement: player.placement, members: [] });
+    }
+    teams.get(player.teamKey).members.push(player);
+  }
+
+  const teamList = [...teams.values()];
+  for (const team of teamList) {
+    team.rating = team.members.reduce((sum, member) => sum + member.rating, 0) / team.members.length;
+  }
+
+  const changes = new Map();
+  for (const team of teamList) {
+    const opponents = teamList.filter(other => other !== team);
+
+    // Average of the pairwise (actual - expected) results, so the size of the lobby doesn't scale the swing
+    let performance = 0;
+    for (const opponent of opponents) {
+      const actual = team.placement < opponent.placement ? 1 : team.placement === opponent.placement ? 0.5 : 0;
+      performance += actual - expectedScore(team.rating, opponent.rating);
+    }
+    if (opponents.length > 0) {
+      performance /= opponents.length;
+    }
+
+    for (const member of team.members) {
+      const after = Math.max(RATING_RULES.minRating,
+        Math.round(member.rating + getKFactor(member.matchesPlayed) * performance));
+      changes.set(member.playerId, { before: member.rating, after, change: after - member.rating });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  RATING_RULES,
+  expectedScore,
+  aggregatePartyRating,
+  calculateRatingChanges
+};